@@ -0,0 +1,6295 @@
+// ====================================================================
+// IMPORTS
+
+// The clown library only needs Three.js, which it imports rather than expecting a global
+import * as THREE from "three";
+
+// ====================================================================
+// TYPEDEFS FOR JSDOC
+
+/**
+ * @typedef {Object} Body
+ * @property {number} radius - Radius of the body
+ * @property {number} stretchY - Stretches the body along the y-axis
+ */
+
+/**
+ * @typedef {Object} Arm
+ * @property {number} rotX - Rotation of arm around shoulder joint along the x-axis in radians
+ * @property {number} rotY - Rotation of arm around shoulder joint along the y-axis in radians
+ * @property {number} rotZ - Rotation of arm around shoulder joint along the z-axis in radians
+ * @property {number} elbow - Forward bend of the forearm at the elbow in radians
+ */
+
+/**
+ * @typedef {Object} Arms
+ * @property {number} length - Length of both arms
+ * @property {Arm} leftArm - Left arm properties
+ * @property {Arm} rightArm - Right arm properties
+ */
+
+/**
+ * @typedef {Object} Leg
+ * @property {number} rotX - Rotation of leg around hip joint along the x-axis in radians
+ * @property {number} rotY - Rotation of leg around hip joint along the y-axis in radians
+ * @property {number} rotZ - Rotation of leg around hip joint along the z-axis in radians
+ * @property {number} knee - Backward bend of the shin at the knee in radians
+ */
+
+/**
+ * @typedef {Object} Legs
+ * @property {number} length - Length of both legs
+ * @property {Leg} leftLeg - Left leg properties
+ * @property {Leg} rightLeg - Right leg properties
+ */
+
+/**
+ * @typedef {Object} Head
+ * @property {number} scaleX - Scale of the head along the x-axis
+ * @property {number} scaleY - Scale of the head along the y-axis
+ * @property {number} scaleZ - Scale of the head along the z-axis
+ * @property {number} rotX - Rotation of head around neck along the x-axis in radians
+ * @property {number} rotY - Rotation of head around neck along the y-axis in radians
+ * @property {number} rotZ - Rotation of head around neck along the z-axis in radians
+ * @property {string} expression - Facial expression from {@link clownExpressions}
+ * @property {string} fromExpression - Expression being blended away from
+ * @property {number} expressionBlend - How far the face is blended from fromExpression to
+ * expression, from 0 to 1
+ * @property {number} blink - How closed both eyes are, from 0 (open) to 1 (closed)
+ */
+
+/**
+ * @typedef {Object} Colors
+ * @property {string|number} torso - Color of the torso
+ * @property {string|number} shoulders - Color of both shoulders
+ * @property {string|number} arms - Color of both arms
+ * @property {string|number} hands - Color of both hands
+ * @property {string|number} legs - Color of both legs
+ * @property {string|number} feet - Color of both feet
+ * @property {string|number} head - Color of the dome of the head
+ * @property {string|number} features - Color of the ears, eyes, and nose
+ * @property {string|number} smile - Color of the smile
+ * @property {string|number} hat - Color of the hat
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} name - Name of the accessory within {@link clownAccessories}
+ * @property {Object} options - Options passed to the accessory's factory
+ */
+
+/**
+ * @typedef {Object} Accessories
+ * @property {?Attachment} headTop - Accessory on top of the head, a top hat by default
+ * @property {?Attachment} leftHand - Accessory held in the left hand
+ * @property {?Attachment} rightHand - Accessory held in the right hand
+ * @property {?Attachment} chest - Accessory worn on the chest
+ * @property {?Attachment} leftFoot - Accessory worn on the left foot
+ * @property {?Attachment} rightFoot - Accessory worn on the right foot
+ */
+
+/**
+ * @typedef {Object} ClownParams
+ * @property {Arms} arms - Options for the arms of the clown
+ * @property {Legs} legs - Options for the legs of the clown
+ * @property {Body} body - Options for the body of the clown
+ * @property {Head} head - Options for the head of the clown
+ * @property {Colors} colors - Colors of every part of the clown
+ * @property {Accessories} accessories - Accessory attached to every socket of
+ * {@link clownSockets}, or null for an empty socket
+ * @property {string} material - Kind of material for every part: "basic" for the flat,
+ * unlit look, "standard" for physically based lighting, or "toon" for cel shading
+ * @property {string|Segments} quality - How smooth the round parts are, either "low",
+ * "medium", or "high" from {@link clownQualities}, or explicit segment counts where the
+ * ones left out come from "high"
+ */
+
+/**
+ * @typedef {Object} Segments
+ * @property {number} round - Segments around the torso, the dome of the head, the ears, and
+ * the eyes
+ * @property {number} small - Segments around the shoulders, hands, elbows, knees, feet, and
+ * nose
+ * @property {number} limbs - Segments around the upper arms, forearms, thighs, shins, and
+ * eyebrows
+ * @property {number} smile - Segments along and around the smile
+ * @property {number} accessories - Segments around the largest round parts of accessories,
+ * with smaller parts using fewer
+ */
+
+/**
+ * @typedef {Object} ClownDescription
+ * @property {string} name - Name of the object, such as "leftElbow"
+ * @property {string} type - Three.js type of the object, such as "Mesh" or "Object3D"
+ * @property {number[]} position - Local position as [x, y, z]
+ * @property {number[]} rotation - Local Euler rotation as [x, y, z] in the "XYZ" order
+ * @property {number[]} scale - Local scale as [x, y, z]
+ * @property {Object} [geometry] - Type and parameters of the geometry of a mesh, such as
+ * {type: "SphereGeometry", parameters: {radius: 6, ...}}
+ * @property {Object} [material] - Type and color of the material of a mesh, such as
+ * {type: "MeshBasicMaterial", color: "#00a9fe"}
+ * @property {ClownDescription[]} children - Description of every child
+ */
+
+// ====================================================================
+// CLOWN PARAMS SCHEMA
+
+/**
+ * @typedef {Object} ParamSchema
+ * @property {string} type - Type of the option, either "number", "color", "enum",
+ * "accessory", or "quality"
+ * @property {number} [min] - Smallest value the option may have, or the fewest segments
+ * of a "quality" option
+ * @property {number} [max] - Largest value the option may have, or the most segments of a
+ * "quality" option
+ * @property {string[]} [values] - Values an "enum" option may have
+ * @property {*} default - Value the option has when it is not given
+ */
+
+/**
+ * @typedef {Object} Expression
+ * @property {number} mouthCurve - Curvature of the mouth, positive for a smile and negative
+ * for a frown. Large values curl the mouth into an "O".
+ * @property {number} mouthLength - Length of the mouth along its curve
+ * @property {number} mouthTilt - Tilt of the mouth in radians
+ * @property {number} eyeSize - Size of both eyes
+ * @property {number} leftEyeOpen - How open the left eye is where 1 is a round eye
+ * @property {number} rightEyeOpen - How open the right eye is where 1 is a round eye
+ * @property {number} browHeight - How far the eyebrows are raised
+ * @property {number} browTilt - Tilt of the eyebrows in radians, positive to raise the inner
+ * ends and negative to lower them
+ */
+
+/**
+ * Facial expressions the head can make. Each one describes the shape of the mouth, eyes,
+ * and eyebrows.
+ * @type {Object<string, Expression>}
+ */
+const clownExpressions = {
+  happy: {
+    mouthCurve: 0.4, mouthLength: 2.5 * Math.PI/3, mouthTilt: 0.19,
+    eyeSize: 1, leftEyeOpen: 1, rightEyeOpen: 1, browHeight: 0, browTilt: 0.1,
+  },
+  sad: {
+    mouthCurve: -0.4, mouthLength: 2.2, mouthTilt: 0,
+    eyeSize: 1, leftEyeOpen: 0.8, rightEyeOpen: 0.8, browHeight: 0, browTilt: 0.35,
+  },
+  surprised: {
+    mouthCurve: 1.6, mouthLength: 2 * Math.PI / 1.6, mouthTilt: 0,
+    eyeSize: 1.4, leftEyeOpen: 1.2, rightEyeOpen: 1.2, browHeight: 0.6, browTilt: 0.15,
+  },
+  angry: {
+    mouthCurve: -0.15, mouthLength: 2.4, mouthTilt: 0,
+    eyeSize: 1, leftEyeOpen: 0.6, rightEyeOpen: 0.6, browHeight: -0.3, browTilt: -0.4,
+  },
+  wink: {
+    mouthCurve: 0.45, mouthLength: 3, mouthTilt: 0.3,
+    eyeSize: 1, leftEyeOpen: 1, rightEyeOpen: 0.1, browHeight: 0.1, browTilt: 0.1,
+  },
+};
+
+/**
+ * Segment counts for every quality the clown can be drawn in. Lower qualities have fewer
+ * triangles, which makes them cheaper to draw for clowns that are far away, see
+ * {@link ClownLOD}.
+ * @type {Object<string, Segments>}
+ */
+const clownQualities = {
+  low: {round: 12, small: 6, limbs: 6, smile: 8, accessories: 12},
+  medium: {round: 20, small: 10, limbs: 10, smile: 16, accessories: 20},
+  high: {round: 32, small: 16, limbs: 16, smile: 32, accessories: 32},
+};
+
+/**
+ * Describes every option of {@link ClownParams}. Groups of options are nested objects while
+ * each individual option is a {@link ParamSchema}. The dat.gui panel made by
+ * {@link createClownGUI} is generated from it.
+ * @type {Object}
+ */
+const clownParamsSchema = {
+  arms: {
+    length: {type: "number", min: 5, max: 15, default: 10},
+    leftArm: {
+      rotX: {type: "number", min: -Math.PI, max: Math.PI, default: 0},
+      rotY: {type: "number", min: -Math.PI, max: Math.PI, default: 0},
+      rotZ: {type: "number", min: -Math.PI, max: Math.PI, default: Math.PI/6},
+      elbow: {type: "number", min: 0, max: 3*Math.PI/4, default: 0},
+    },
+    rightArm: {
+      rotX: {type: "number", min: -Math.PI, max: Math.PI, default: 0},
+      rotY: {type: "number", min: -Math.PI, max: Math.PI, default: 0},
+      rotZ: {type: "number", min: -Math.PI, max: Math.PI, default: -Math.PI/6},
+      elbow: {type: "number", min: 0, max: 3*Math.PI/4, default: 0},
+    },
+  },
+  legs: {
+    length: {type: "number", min: 5, max: 15, default: 10},
+    leftLeg: {
+      rotX: {type: "number", min: -Math.PI/2, max: Math.PI/2, default: 0},
+      rotY: {type: "number", min: -Math.PI/4, max: Math.PI/4, default: 0},
+      rotZ: {type: "number", min: -Math.PI/4, max: Math.PI/4, default: 0},
+      knee: {type: "number", min: 0, max: 3*Math.PI/4, default: 0},
+    },
+    rightLeg: {
+      rotX: {type: "number", min: -Math.PI/2, max: Math.PI/2, default: 0},
+      rotY: {type: "number", min: -Math.PI/4, max: Math.PI/4, default: 0},
+      rotZ: {type: "number", min: -Math.PI/4, max: Math.PI/4, default: 0},
+      knee: {type: "number", min: 0, max: 3*Math.PI/4, default: 0},
+    },
+  },
+  body: {
+    radius: {type: "number", min: 5, max: 7, default: 6},
+    stretchY: {type: "number", min: 1, max: 1.5, default: 1.25},
+  },
+  head: {
+    scaleX: {type: "number", min: 0.5, max: 1.5, default: 1},
+    scaleY: {type: "number", min: 0.5, max: 1.5, default: 1},
+    scaleZ: {type: "number", min: 0.5, max: 1.5, default: 1},
+    rotX: {type: "number", min: -Math.PI/4, max: Math.PI/6, default: 0},
+    rotY: {type: "number", min: -Math.PI/4, max: Math.PI/4, default: 0},
+    rotZ: {type: "number", min: -Math.PI/6, max: Math.PI/6, default: 0},
+    expression: {type: "enum", values: Object.keys(clownExpressions), default: "happy"},
+    fromExpression: {type: "enum", values: Object.keys(clownExpressions), default: "happy"},
+    expressionBlend: {type: "number", min: 0, max: 1, default: 1},
+    blink: {type: "number", min: 0, max: 1, default: 0},
+  },
+  colors: {
+    torso: {type: "color", default: "#00a9fe"},
+    shoulders: {type: "color", default: "#f030d9"},
+    arms: {type: "color", default: "#00a9fe"},
+    hands: {type: "color", default: "#19efb3"},
+    legs: {type: "color", default: "#f030d9"},
+    feet: {type: "color", default: "#19efb3"},
+    head: {type: "color", default: "#b8fee4"},
+    features: {type: "color", default: "#45266a"},
+    smile: {type: "color", default: "#ff9fe8"},
+    hat: {type: "color", default: "#00a9fe"},
+  },
+  accessories: {
+    headTop: {type: "accessory", default: {name: "topHat", options: {}}},
+    leftHand: {type: "accessory", default: null},
+    rightHand: {type: "accessory", default: null},
+    chest: {type: "accessory", default: null},
+    leftFoot: {type: "accessory", default: null},
+    rightFoot: {type: "accessory", default: null},
+  },
+  material: {type: "enum", values: ["basic", "standard", "toon"], default: "basic"},
+  quality: {type: "quality", min: 3, max: 64, default: "high"},
+};
+
+/**
+ * Named sets of {@link Colors} that can be given to the clown as its colors option.
+ * @example
+ * // Redraw the clown with the pastel palette
+ * clown.redraw({colors: clownPalettes.pastel});
+ * @type {Object<string, Colors>}
+ */
+const clownPalettes = {
+  classic: createDefaultClownParams().colors,
+  pastel: {
+    torso: "#a8d8ea",
+    shoulders: "#fcbad3",
+    arms: "#a8d8ea",
+    hands: "#ffffd2",
+    legs: "#fcbad3",
+    feet: "#ffffd2",
+    head: "#fff5f7",
+    features: "#aa96da",
+    smile: "#f38181",
+    hat: "#aa96da",
+  },
+  midnight: {
+    torso: "#1b1f3b",
+    shoulders: "#53354a",
+    arms: "#1b1f3b",
+    hands: "#e1e5ee",
+    legs: "#53354a",
+    feet: "#903749",
+    head: "#e1e5ee",
+    features: "#2b2e4a",
+    smile: "#e84545",
+    hat: "#2b2e4a",
+  },
+  circus: {
+    torso: "#e63946",
+    shoulders: "#ffd60a",
+    arms: "#e63946",
+    hands: "#ffffff",
+    legs: "#1d3557",
+    feet: "#ffd60a",
+    head: "#fff1e6",
+    features: "#1d3557",
+    smile: "#e63946",
+    hat: "#1d3557",
+  },
+};
+
+/**
+ * Error thrown when invalid clown options are given in strict validation mode.
+ * @property {string} path - Path of the invalid option such as "legs.length", or "" when
+ * the options as a whole or the validation mode are wrong
+ * @extends Error
+ */
+class ClownParamsError extends Error {
+  /**
+   * Constructor for the error.
+   * @param {string} path - Path of the invalid option, or "" for the options as a whole
+   * @param {string} message - Description of what is wrong with the option
+   */
+  constructor(path, message) {
+    const subject = path ? `option "${path}"` : "options";
+    super(`Invalid clown ${subject}: ${message}`);
+    this.name = "ClownParamsError";
+    this.path = path;
+  }
+}
+
+/**
+ * Checks whether the given schema entry describes a single option rather than a group.
+ * @param {Object} schema - Entry of the schema to check
+ * @return {boolean} True if the entry is a {@link ParamSchema}
+ */
+function isParamSchema(schema) {
+  return typeof schema.type === "string";
+}
+
+/**
+ * Clamps a number into the range allowed by the schema of an option.
+ * @param {number} value - The number to clamp
+ * @param {ParamSchema} entry - Schema of the option
+ * @return {number} The number clamped between the option's min and max
+ */
+function clampParam(value, entry) {
+  return Math.min(Math.max(value, entry.min), entry.max);
+}
+
+/**
+ * Creates a complete set of clown options filled with the default values of the schema.
+ * @param {Object} [schema=clownParamsSchema] - Schema to take the defaults from
+ * @return {ClownParams} New options with every value set to its default
+ */
+function createDefaultClownParams(schema = clownParamsSchema) {
+  const params = {};
+
+  // Copy the default of every option and recurse into every group
+  for (const [key, entry] of Object.entries(schema)) {
+    if (!isParamSchema(entry)) {
+      params[key] = createDefaultClownParams(entry);
+      continue;
+    }
+
+    // Defaults that are objects, such as attachments, are copied so they can't be changed
+    params[key] = JSON.parse(JSON.stringify(entry.default));
+  }
+
+  return params;
+}
+
+/** Modes that {@link validateClownParams} can check options in. */
+const clownValidationModes = ["strict", "clamp", "warn"];
+
+/**
+ * Checks partial clown options against the schema. Depending on the mode, a problem either
+ * throws, gets fixed, or gets reported:
+ * - "strict" throws a {@link ClownParamsError} naming the path of the first invalid option
+ * - "clamp" clamps out of range numbers into range and drops unknown or mistyped options
+ * - "warn" logs a warning for every problem, keeps out of range numbers, and drops unknown
+ *   or mistyped options
+ * @example
+ * // Throws: Invalid clown option "arms.leftArm.rotq": unknown option
+ * validateClownParams({arms: {leftArm: {rotq: 1}}}, "strict");
+ * @example
+ * // Returns {legs: {length: 5}}
+ * validateClownParams({legs: {length: -1}}, "clamp");
+ * @param {ClownParams} options - Partial options to check
+ * @param {string} [mode="strict"] - One of "strict", "clamp", or "warn"
+ * @param {Object} [schema=clownParamsSchema] - Schema to check the options against
+ * @param {string} [path=""] - Path of the options within the entire set of options
+ * @return {ClownParams} The valid options, after being fixed up for "clamp" and "warn"
+ * @throws {ClownParamsError} If the mode is unknown or the options are not an object, in
+ * every mode, or if an option is invalid in "strict" mode
+ */
+function validateClownParams(options, mode = "strict", schema = clownParamsSchema, path = "") {
+  // A misspelled mode would otherwise quietly behave like "warn"
+  if (!clownValidationModes.includes(mode)) {
+    const modes = clownValidationModes.join(", ");
+    throw new ClownParamsError("", `expected the validation mode to be one of ${modes} ` +
+      `but got ${JSON.stringify(mode)}`);
+  }
+
+  // There is nothing to fix up or drop when the options are not an object at all
+  if (typeof options !== "object" || options === null || Array.isArray(options)) {
+    throw new ClownParamsError(path, `expected an object but got ${JSON.stringify(options)}`);
+  }
+
+  const valid = {};
+
+  // Reports a problem with an option according to the validation mode
+  const report = (optionPath, message) => {
+    if (mode === "strict") {
+      throw new ClownParamsError(optionPath, message);
+    }
+
+    console.warn(new ClownParamsError(optionPath, message).message);
+  };
+
+  for (const [key, value] of Object.entries(options)) {
+    const entry = schema[key];
+    const optionPath = path ? `${path}.${key}` : key;
+
+    // Options that are not in the schema are most likely typos
+    if (!entry) {
+      report(optionPath, "unknown option");
+      continue;
+    }
+
+    // Recurse into groups of options
+    if (!isParamSchema(entry)) {
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        report(optionPath, `expected an object but got ${JSON.stringify(value)}`);
+        continue;
+      }
+
+      valid[key] = validateClownParams(value, mode, entry, optionPath);
+      continue;
+    }
+
+    // Numbers must be finite and within range
+    if (entry.type === "number") {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        report(optionPath, `expected a number but got ${JSON.stringify(value)}`);
+        continue;
+      }
+
+      if (value < entry.min || value > entry.max) {
+        // Clamping quietly fixes the value while the other modes report it
+        if (mode === "clamp") {
+          valid[key] = clampParam(value, entry);
+          continue;
+        }
+
+        report(optionPath, `expected a number between ${entry.min} and ${entry.max} ` +
+          `but got ${value}`);
+      }
+
+      valid[key] = value;
+    }
+
+    // Colors are either a hex string such as "#ff0000" or a number such as 0xff0000
+    if (entry.type === "color") {
+      const isHexString = typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+      const isHexNumber = Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+
+      if (!isHexString && !isHexNumber) {
+        report(optionPath, `expected a color such as "#ff0000" ` +
+          `but got ${JSON.stringify(value)}`);
+        continue;
+      }
+
+      valid[key] = value;
+    }
+
+    // Enums must be one of the listed values
+    if (entry.type === "enum") {
+      if (!entry.values.includes(value)) {
+        report(optionPath, `expected one of ${entry.values.join(", ")} ` +
+          `but got ${JSON.stringify(value)}`);
+        continue;
+      }
+
+      valid[key] = value;
+    }
+
+    // Accessories are either null for an empty socket or the name of a known accessory
+    // along with the options for its factory
+    if (entry.type === "accessory") {
+      if (value === null) {
+        valid[key] = null;
+        continue;
+      }
+
+      if (typeof value !== "object" || !clownAccessories.hasOwnProperty(value.name)) {
+        const names = Object.keys(clownAccessories).join(", ");
+        report(optionPath, `expected null or an accessory of ${names} ` +
+          `but got ${JSON.stringify(value)}`);
+        continue;
+      }
+
+      const hasOptions = value.options !== undefined;
+      if (hasOptions && (typeof value.options !== "object" || value.options === null)) {
+        report(optionPath, `expected the accessory options to be an object ` +
+          `but got ${JSON.stringify(value.options)}`);
+        continue;
+      }
+
+      const accessoryOptions = JSON.parse(JSON.stringify(value.options || {}));
+      valid[key] = {name: value.name, options: accessoryOptions};
+    }
+
+    // Qualities are either the name of one of the qualities or explicit segment counts
+    if (entry.type === "quality") {
+      if (typeof value === "string" && clownQualities.hasOwnProperty(value)) {
+        valid[key] = value;
+        continue;
+      }
+
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        const names = Object.keys(clownQualities).join(", ");
+        report(optionPath, `expected one of ${names} or segment counts ` +
+          `but got ${JSON.stringify(value)}`);
+        continue;
+      }
+
+      // Check every segment count on its own so that one typo does not drop the rest
+      const segments = {};
+      for (const [name, count] of Object.entries(value)) {
+        const segmentsPath = `${optionPath}.${name}`;
+
+        if (!clownQualities.high.hasOwnProperty(name)) {
+          report(segmentsPath, "unknown option");
+          continue;
+        }
+
+        if (!Number.isInteger(count)) {
+          report(segmentsPath, `expected a whole number but got ${JSON.stringify(count)}`);
+          continue;
+        }
+
+        if (count < entry.min || count > entry.max) {
+          // Clamping quietly fixes the count while the other modes report it
+          if (mode === "clamp") {
+            segments[name] = clampParam(count, entry);
+            continue;
+          }
+
+          report(segmentsPath, `expected a number between ${entry.min} and ${entry.max} ` +
+            `but got ${count}`);
+        }
+
+        segments[name] = count;
+      }
+
+      valid[key] = segments;
+    }
+  }
+
+  return valid;
+}
+
+// ====================================================================
+// CLOWN JSON FORMAT
+
+/**
+ * @typedef {Object} ClownJSON
+ * @property {string} type - Always "Clown"
+ * @property {number} version - Version of the format the clown was saved with
+ * @property {ClownParams} options - Options that define how the clown looks
+ * @property {Object} transform - Transform of the clown's Object3D
+ * @property {number[]} transform.position - Position as [x, y, z]
+ * @property {Array} transform.rotation - Euler rotation as [x, y, z, order]
+ * @property {number[]} transform.scale - Scale as [x, y, z]
+ */
+
+/** Version of the JSON format written by {@link Clown#toJSON}. */
+const clownJSONVersion = 1;
+
+/**
+ * Functions that upgrade saved clowns from one version of the JSON format to the next. The
+ * function stored under a version receives a {@link ClownJSON} of that version and returns
+ * it upgraded to the following version. Add a migration here whenever a change to
+ * {@link ClownParams} would otherwise stop older files from loading.
+ * @example
+ * // Upgrade version 1 files by renaming an option
+ * clownJSONMigrations[1] = (json) => ({
+ *   ...json,
+ *   version: 2,
+ *   options: renameOption(json.options),
+ * });
+ * @type {Object<number, function(ClownJSON): ClownJSON>}
+ */
+const clownJSONMigrations = {};
+
+/**
+ * Upgrades a saved clown to the current version of the JSON format.
+ * @param {ClownJSON} json - The saved clown
+ * @return {ClownJSON} The saved clown in the current version of the format
+ * @throws {Error} If the version is not a whole number of at least 1, is newer than
+ * {@link clownJSONVersion}, or has no migration to the next version
+ */
+function migrateClownJSON(json) {
+  // Without a whole version number there is no telling which migrations to run, and a
+  // missing or NaN version would otherwise slip past every comparison below
+  if (!Number.isInteger(json.version) || json.version < 1) {
+    const version = typeof json.version === "string" ? JSON.stringify(json.version) : json.version;
+    throw new Error("Expected the clown JSON version to be a whole number of at least 1 " +
+      `but got ${version}`);
+  }
+
+  // Files from a newer version may contain options we know nothing about
+  if (json.version > clownJSONVersion) {
+    throw new Error(`Clown JSON version ${json.version} is newer than the supported ` +
+      `version ${clownJSONVersion}`);
+  }
+
+  // Apply every migration between the saved version and the current one
+  let migrated = json;
+  while (migrated.version < clownJSONVersion) {
+    const migrate = clownJSONMigrations[migrated.version];
+
+    if (!migrate) {
+      throw new Error(`No migration from clown JSON version ${migrated.version}`);
+    }
+
+    migrated = migrate(migrated);
+  }
+
+  return migrated;
+}
+
+// ====================================================================
+// ACCESSORY CODE
+
+/**
+ * Sockets where accessories can be attached to the clown. Each socket names the part of the
+ * clown that accessories are added to, see {@link Clown#getPart}. Accessories are built with
+ * the socket's y-axis pointing up out of the clown and its z-axis pointing forward.
+ * - "headTop" sits on top of the head
+ * - "leftHand" and "rightHand" sit in the middle of each hand, with the y-axis pointing back
+ *   up along the forearm
+ * - "chest" sits at the front of the torso, just below the neck
+ * - "leftFoot" and "rightFoot" sit under each foot, where it touches the ground
+ * @type {Object<string, string>}
+ */
+const clownSockets = {
+  headTop: "headTopSocket",
+  leftHand: "leftHandSocket",
+  rightHand: "rightHandSocket",
+  chest: "chestSocket",
+  leftFoot: "leftFootSocket",
+  rightFoot: "rightFootSocket",
+};
+
+/**
+ * Factories for the accessories that can be attached to the clown's sockets. Each factory
+ * receives the options given to {@link Clown#attach}, a function that creates materials in
+ * the clown's current kind of material, and the {@link Segments} of the clown's quality,
+ * and returns the Object3D of the accessory. Materials created from a color of
+ * {@link Colors} follow the clown's colors while materials given their own color keep it.
+ * Add a factory to this object to make a new accessory available to every clown.
+ * @example
+ * // A flower to hold in one hand
+ * clownAccessories.flower = ({color = "#ff5fa2"} = {}, createMaterial) => {
+ *   const geometry = new THREE.SphereGeometry(1);
+ *   const flower = new THREE.Mesh(geometry, createMaterial("flower", color));
+ *   flower.position.set(0, 3, 0);
+ *   return flower;
+ * };
+ * clown.attach("rightHand", "flower");
+ * @type {Object<string, function(Object, function(string, (string|number)=): Material, Segments): Object3D>}
+ */
+const clownAccessories = {
+  /**
+   * The clown's classic top hat, worn with a fancy tilt.
+   * @param {Object} [options={}] - Options for the hat
+   * @param {string|number} [options.color] - Color of the hat, defaults to the hat color
+   * @param {function} createMaterial - Creates a material for the clown
+   * @param {Segments} segments - Segment counts for the clown's quality
+   * @return {Object3D} Scene graph of the hat
+   */
+  topHat({color} = {}, createMaterial, segments) {
+    const hat = new THREE.Object3D();
+    hat.name = "hat";
+
+    // Material for the entire hat
+    const hatMat = createMaterial("hat", color);
+
+    // Create the rim and add it to the hat
+    {
+      // Create the geometry and mesh for the rim of the hat
+      const hatRimGeom = new THREE.CylinderGeometry(8, 8, 0.5, segments.accessories);
+      const hatRimMesh = new THREE.Mesh(hatRimGeom, hatMat);
+      hatRimMesh.name = "hatRim";
+
+      // Add the rim to the hat
+      hat.add(hatRimMesh);
+    }
+
+    // Create the top portion of the hat and add it to the hat
+    {
+      // Create the top of the hat's geometry and mesh
+      const hatTopGeom = new THREE.CylinderGeometry(5, 4.5, 6, segments.accessories);
+      const hatTopMesh = new THREE.Mesh(hatTopGeom, hatMat);
+      hatTopMesh.name = "hatTop";
+
+      // Position the top of the hat so that the bottom rests on the rim
+      hatTopMesh.position.set(0, 3, 0);
+
+      // Add hat top to the hat
+      hat.add(hatTopMesh);
+    }
+
+    // Sink the rim around the dome of the head and give the hat a tilt
+    hat.rotation.set(-Math.PI/12, 0, -Math.PI/12);
+    hat.position.set(0.5, -2.5, -0.5);
+
+    return hat;
+  },
+
+  /**
+   * A party hat shaped like a cone with a pompom on top.
+   * @param {Object} [options={}] - Options for the hat
+   * @param {string|number} [options.color] - Color of the cone, defaults to the hat color
+   * @param {string|number} [options.pompomColor] - Color of the pompom, defaults to the
+   * shoulder color
+   * @param {number} [options.height=8] - Height of the cone
+   * @param {function} createMaterial - Creates a material for the clown
+   * @param {Segments} segments - Segment counts for the clown's quality
+   * @return {Object3D} Scene graph of the hat
+   */
+  coneHat({color, pompomColor, height = 8} = {}, createMaterial, segments) {
+    const hat = new THREE.Object3D();
+    hat.name = "coneHat";
+
+    // Create the cone so that its base sits just inside the top of the head
+    const coneGeom = new THREE.CylinderGeometry(0, 3.5, height, segments.accessories);
+    const coneMesh = new THREE.Mesh(coneGeom, createMaterial("hat", color));
+    coneMesh.name = "cone";
+    coneMesh.position.set(0, height/2 - 1, 0);
+    hat.add(coneMesh);
+
+    // Create the pompom on the tip of the cone
+    const pompomGeom = new THREE.SphereGeometry(1, Math.ceil(segments.accessories/2), Math.ceil(segments.accessories/2));
+    const pompomMesh = new THREE.Mesh(pompomGeom, createMaterial("shoulders", pompomColor));
+    pompomMesh.name = "pompom";
+    pompomMesh.position.set(0, height - 1, 0);
+    hat.add(pompomMesh);
+
+    return hat;
+  },
+
+  /**
+   * A bow tie made of two cones that meet at a knot.
+   * @param {Object} [options={}] - Options for the bow tie
+   * @param {string|number} [options.color] - Color of the bow tie, defaults to the shoulder
+   * color
+   * @param {number} [options.size=1] - Scale of the bow tie
+   * @param {function} createMaterial - Creates a material for the clown
+   * @param {Segments} segments - Segment counts for the clown's quality
+   * @return {Object3D} Scene graph of the bow tie
+   */
+  bowTie({color, size = 1} = {}, createMaterial, segments) {
+    const bowTie = new THREE.Object3D();
+    bowTie.name = "bowTie";
+
+    // Material for the entire bow tie
+    const bowTieMat = createMaterial("shoulders", color);
+
+    // Create both wings of the bow tie with their tips meeting in the middle
+    const wingGeom = new THREE.CylinderGeometry(0, 1.2, 2, Math.ceil(segments.accessories/2));
+    for (const side of [1, -1]) {
+      const wingMesh = new THREE.Mesh(wingGeom, bowTieMat);
+      wingMesh.name = side > 0 ? "leftWing" : "rightWing";
+      wingMesh.rotation.set(0, 0, side * Math.PI/2);
+      wingMesh.position.set(side, 0, 0);
+      bowTie.add(wingMesh);
+    }
+
+    // Create the knot that covers the tips of the wings
+    const knotGeom = new THREE.SphereGeometry(0.5, Math.ceil(segments.accessories/2), Math.ceil(segments.accessories/2));
+    const knotMesh = new THREE.Mesh(knotGeom, bowTieMat);
+    knotMesh.name = "knot";
+    bowTie.add(knotMesh);
+
+    // Rest the bow tie on the chest
+    bowTie.scale.setScalar(size);
+    bowTie.position.set(0, 0, 0.2 * size);
+
+    return bowTie;
+  },
+
+  /**
+   * A balloon floating on the end of a string.
+   * @param {Object} [options={}] - Options for the balloon
+   * @param {string|number} [options.color="#ff3b3b"] - Color of the balloon
+   * @param {number} [options.stringLength=12] - Length of the string
+   * @param {function} createMaterial - Creates a material for the clown
+   * @param {Segments} segments - Segment counts for the clown's quality
+   * @return {Object3D} Scene graph of the balloon
+   */
+  balloon({color = "#ff3b3b", stringLength = 12} = {}, createMaterial, segments) {
+    const balloon = new THREE.Object3D();
+    balloon.name = "balloon";
+
+    // Create the string going up from the hand
+    const stringGeom = new THREE.CylinderGeometry(0.1, 0.1, stringLength, Math.ceil(segments.accessories/4));
+    const stringMesh = new THREE.Mesh(stringGeom, createMaterial("string", "#ffffff"));
+    stringMesh.name = "string";
+    stringMesh.position.set(0, stringLength/2, 0);
+    balloon.add(stringMesh);
+
+    // Create the balloon, slightly taller than it is wide, on the end of the string
+    const balloonMat = createMaterial("balloon", color);
+    const bubbleGeom = new THREE.SphereGeometry(2.5, segments.accessories, segments.accessories);
+    const bubbleMesh = new THREE.Mesh(bubbleGeom, balloonMat);
+    bubbleMesh.name = "bubble";
+    bubbleMesh.scale.set(1, 1.2, 1);
+    bubbleMesh.position.set(0, stringLength + 3, 0);
+    balloon.add(bubbleMesh);
+
+    // Create the knot that ties the balloon to the string
+    const knotGeom = new THREE.CylinderGeometry(0.15, 0.5, 0.6, Math.ceil(segments.accessories/2));
+    const knotMesh = new THREE.Mesh(knotGeom, balloonMat);
+    knotMesh.name = "balloonKnot";
+    knotMesh.position.set(0, stringLength + 0.2, 0);
+    balloon.add(knotMesh);
+
+    return balloon;
+  },
+
+  /**
+   * A big clown shoe that fits over one foot. Attach one to each foot for a pair.
+   * @param {Object} [options={}] - Options for the shoe
+   * @param {string|number} [options.color] - Color of the shoe, defaults to the shoulder
+   * color
+   * @param {number} [options.size=1.5] - How much bigger the shoe is than the foot
+   * @param {function} createMaterial - Creates a material for the clown
+   * @param {Segments} segments - Segment counts for the clown's quality
+   * @return {Object3D} Scene graph of the shoe
+   */
+  bigShoes({color, size = 1.5} = {}, createMaterial, segments) {
+    const shoe = new THREE.Object3D();
+    shoe.name = "bigShoe";
+
+    // Material for the entire shoe
+    const shoeMat = createMaterial("shoulders", color);
+
+    // Create the top of the shoe as a hemisphere that is long towards the front
+    const shoeGeom = new THREE.SphereGeometry(2, segments.accessories, Math.ceil(segments.accessories/2), 0, Math.PI * 2, 0, Math.PI / 2);
+    const shoeMesh = new THREE.Mesh(shoeGeom, shoeMat);
+    shoeMesh.name = "shoe";
+    shoeMesh.scale.set(size, size * 0.8, size * 1.6);
+    shoeMesh.position.set(0, -0.002, size);
+    shoe.add(shoeMesh);
+
+    // Create the sole of the shoe
+    const soleGeom = new THREE.CircleGeometry(2, segments.accessories);
+    const soleMesh = new THREE.Mesh(soleGeom, shoeMat);
+    soleMesh.name = "sole";
+    soleMesh.rotation.set(Math.PI/2, 0, 0);
+    soleMesh.scale.set(size, size * 1.6, 1);
+    soleMesh.position.set(0, -0.003, size); // Below the bottom of the foot to hide it
+    shoe.add(soleMesh);
+
+    return shoe;
+  },
+};
+
+// ====================================================================
+// CLOWN CLASS CODE
+
+/**
+ * Class used to create a 3D clown.
+ * @property {Object3D} _clown - Scene graph of the entire clown generated by the Clown class
+ * @property {ClownParams} _options - Current options for the clown that define how it looks
+ * @property {Object<string, Object3D>} _parts - Every part of the clown by its name
+ * @property {Set<BufferGeometry>} _geometries - Geometries currently in use by the clown
+ * @property {Set<Material>} _materials - Materials currently in use by the clown
+ * @property {string} _validation - How invalid options are handled: "strict", "clamp", or
+ * "warn"
+ * @extends THREE.Object3D
+ */
+class Clown extends THREE.Object3D {
+  /** 
+   * Constructor for the clown.
+   * @example
+   * // Creates a clown that clamps out of range options instead of throwing
+   * new Clown({legs: {length: 20}}, {validation: "clamp"});
+   * @param {ClownParams} [options={}] - Options that define how the clown should look
+   * @param {Object} [settings={}] - Settings for how the clown behaves
+   * @param {string} [settings.validation="strict"] - How invalid options are handled, see
+   * {@link validateClownParams}
+   */
+  constructor(options = {}, {validation = "strict"} = {}) {
+    super();
+
+    // Remember how to handle invalid options
+    this._validation = validation;
+
+    // Keep track of every geometry and material so they can be disposed of
+    this._geometries = new Set();
+    this._materials = new Set();
+
+    // Draw the initial clown
+    this.redraw(options);
+  }
+
+  /**
+   * Draws the clown based on the given options. Only the parts affected by the new options
+   * are changed: rotations and scales are updated in place while length and radius changes
+   * rebuild just the affected limbs or torso. Afterwards, the clown dispatches a "change"
+   * event.
+   * @example
+   * // Sets the y-axis rotation of the left arm to 1
+   * redraw({arms: {leftArm: {rotY: 1}}})
+   * @example
+   * // Sets the length of the legs to 15, radius of body to 5, and stretchY of body to 1
+   * redraw({legs: {length: 15}, body: {radius: 5, stretchY: 1}});
+   * @param {ClownParams} [options={}] - Options that define how the clown should look
+   * @throws {ClownParamsError} If an option is invalid and the validation mode is "strict"
+   */
+  redraw(options = {}) {
+    // Keep a copy of the previous options so that we can tell what changed
+    const prevOptions = this._options && JSON.parse(JSON.stringify(this._options));
+
+    // Check the options against the schema before using them
+    const validOptions = validateClownParams(options, this._validation);
+
+    // Update the internal options of the clown
+    this._setOptions(validOptions);
+
+    // Build the entire clown if this is the first time it is drawn
+    if (!this._clown) {
+      // Create the new clown with internal options
+      this._clown = this._createClown(this._options);
+      this._trackResources(this._clown);
+      this._enableShadows(this._clown);
+
+      // Add the clown to self
+      this.add(this._clown);
+    } else {
+      // Otherwise, only update the parts of the clown that changed
+      this._updateClown(prevOptions, this._options);
+    }
+
+    // Let anything showing the options, such as the GUI, know that they changed
+    this.dispatchEvent({type: "change"});
+  }
+
+  /**
+   * Removes the clown's scene graph and frees every geometry and material it was using.
+   * Calling redraw() afterwards builds a brand new clown from the current options.
+   */
+  dispose() {
+    // Nothing to do if the clown was already disposed of
+    if (!this._clown) {
+      return;
+    }
+
+    // Free the GPU resources of the entire clown
+    this._disposeResources(this._clown);
+
+    // Remove the clown from self
+    this.remove(this._clown);
+    this._clown = null;
+    this._parts = {};
+    this._attachments = {};
+  }
+
+  /**
+   * Counts the geometries and materials currently in use by the clown. Useful for making
+   * sure that redrawing the clown does not leak resources.
+   * @example
+   * // Returns {geometries: 29, materials: 15} for a default clown
+   * clown.getResourceCounts();
+   * @return {{geometries: number, materials: number}} Number of live geometries and materials
+   */
+  getResourceCounts() {
+    return {
+      geometries: this._geometries.size,
+      materials: this._materials.size,
+    };
+  }
+
+  /**
+   * Counts the triangles of every mesh of the clown, including its accessories. Useful for
+   * comparing the qualities in {@link clownQualities}.
+   * @example
+   * // Returns fewer triangles for the low quality clown
+   * new Clown({quality: "low"}).getTriangleCount();
+   * @return {number} Number of triangles
+   */
+  getTriangleCount() {
+    let triangles = 0;
+
+    this._clown.traverse((child) => {
+      if (child.isMesh) {
+        const {index, attributes} = child.geometry;
+        triangles += (index ? index.count : attributes.position.count) / 3;
+      }
+    });
+
+    return triangles;
+  }
+
+  /**
+   * Finds a part of the clown by its name. Every pivot and mesh has a name that stays the
+   * same, and so does the object returned, no matter how often the clown is redrawn. That
+   * makes parts a safe place to add effects to, until the clown is disposed of.
+   * - The body holds the "torso" and the "chestSocket"
+   * - Each arm, such as "leftArm", holds the "leftShoulder", "leftUpperArm", and the
+   *   "leftElbow" pivot, which holds the "leftElbowJoint", "leftForearm", "leftHand", and
+   *   "leftHandSocket"
+   * - Each leg, such as "leftLeg", holds the "leftThigh" and the "leftKnee" pivot, which
+   *   holds the "leftKneeJoint", "leftShin", "leftFoot", "leftFootBottom", and
+   *   "leftFootSocket"
+   * - The "head" holds the "dome", "leftEar", "leftEye", "leftBrow", their right side
+   *   counterparts, the "nose", the "smile", and the "headTopSocket"
+   *
+   * Accessories such as the hat are not parts but are added to the sockets, see
+   * {@link clownSockets}.
+   * @example
+   * // Add a sparkle to the left hand
+   * clown.getPart("leftHand").add(sparkle);
+   * @param {string} name - Name of the part
+   * @return {Object3D} The part
+   * @throws {Error} If the clown has no part with the given name
+   */
+  getPart(name) {
+    const part = this._parts && this._parts[name];
+    if (!part) {
+      throw new Error(`Unknown part "${name}"`);
+    }
+
+    return part;
+  }
+
+  /**
+   * Lists the names of every part of the clown, from the body down to the head.
+   * @example
+   * // Log every part along with where it is
+   * for (const name of clown.getPartNames()) {
+   *   console.log(name, clown.getPart(name).getWorldPosition(new THREE.Vector3()));
+   * }
+   * @return {string[]} Names of the parts that can be given to getPart()
+   */
+  getPartNames() {
+    return Object.keys(this._parts || {});
+  }
+
+  /**
+   * Computes the box around a part of the clown in world space. The box covers the part
+   * along with everything attached below it, so the box of "leftArm" includes the hand and
+   * whatever it holds while the box of "leftHand" is just the hand.
+   * @example
+   * // Check whether a point touches the head
+   * clown.getPartBounds("head").containsPoint(point);
+   * @param {string} name - Name of the part
+   * @param {Box3} [target=new THREE.Box3()] - Box to store the result in
+   * @return {Box3} Bounding box of the part in world space, empty for sockets with nothing
+   * attached to them
+   */
+  getPartBounds(name, target = new THREE.Box3()) {
+    const part = this.getPart(name);
+
+    // Make sure the part's world transform is up to date
+    part.updateWorldMatrix(true, true);
+
+    return target.setFromObject(part);
+  }
+
+  /**
+   * Poses an arm so that its hand reaches for a point. The shoulder is rotated as little as
+   * possible from its current pose and the elbow is bent just enough to cover the distance.
+   * If the point is out of reach, the arm stretches towards it as far as the joint limits
+   * allow. The solved angles are written to the clown's options through redraw().
+   * @example
+   * // Reach for a point in front of the clown's chest
+   * clown.reachTo("leftHand", new THREE.Vector3(3, 20, 8));
+   * @param {string} hand - Either "leftHand" or "rightHand"
+   * @param {Vector3} target - Point to reach for in world space
+   * @return {number} Distance left between the hand and the point in world units
+   */
+  reachTo(hand, target) {
+    const side = {leftHand: "leftArm", rightHand: "rightArm"}[hand];
+    if (!side) {
+      throw new Error(`Unknown hand "${hand}", expected "leftHand" or "rightHand"`);
+    }
+
+    const arm = this._parts[side];
+    const armSchema = clownParamsSchema.arms[side];
+
+    // Work in the space of the body, which is the space the arm's rotation is given in
+    this.updateWorldMatrix(true, true);
+    const localTarget = arm.parent.worldToLocal(target.clone());
+    const toTarget = localTarget.sub(arm.position);
+
+    // Lengths of the upper arm and of the forearm up to the center of the hand
+    const {length} = this._options.arms;
+    const upper = length/2;
+    const lower = length/2 - 0.75;
+
+    // Bend the elbow so that the hand is as far from the shoulder as the target is
+    let elbow;
+    {
+      const distance = Math.min(Math.max(toTarget.length(), Math.abs(upper - lower)), upper + lower);
+      const cosInner = (upper * upper + lower * lower - distance * distance) / (2 * upper * lower);
+      elbow = clampParam(Math.PI - Math.acos(Math.min(Math.max(cosInner, -1), 1)), armSchema.elbow);
+    }
+
+    // Direction of the hand from the shoulder before the shoulder is rotated
+    const handDirection = new THREE.Vector3(0, -upper - lower * Math.cos(elbow), lower * Math.sin(elbow)).normalize();
+
+    // Rotate the shoulder by the smallest amount that points the hand at the target
+    const rotation = new THREE.Quaternion();
+    {
+      const currentDirection = handDirection.clone().applyQuaternion(arm.quaternion);
+      const swing = new THREE.Quaternion().setFromUnitVectors(currentDirection, toTarget.clone().normalize());
+      rotation.multiplyQuaternions(swing, arm.quaternion);
+    }
+    const euler = new THREE.Euler().setFromQuaternion(rotation, arm.rotation.order);
+
+    // Write the solved angles back into the options
+    this.redraw({
+      arms: {
+        [side]: {
+          rotX: clampParam(euler.x, armSchema.rotX),
+          rotY: clampParam(euler.y, armSchema.rotY),
+          rotZ: clampParam(euler.z, armSchema.rotZ),
+          elbow,
+        },
+      },
+    });
+
+    // Report how close the hand got
+    this.updateWorldMatrix(true, true);
+    const handPosition = this._parts[hand].getWorldPosition(new THREE.Vector3());
+    return handPosition.distanceTo(target);
+  }
+
+  /**
+   * Turns the head so that the clown looks at a point. Unlike Object3D.lookAt(), this does
+   * not rotate the entire clown. The rotation stays within the limits of the neck given by
+   * the head options of {@link clownParamsSchema} and is written to the clown's options
+   * through redraw().
+   * @example
+   * // Look at the camera
+   * clown.lookAt(camera.position);
+   * @param {Vector3|number} x - Point to look at in world space, or its x coordinate
+   * @param {number} [y] - The y coordinate of the point
+   * @param {number} [z] - The z coordinate of the point
+   */
+  lookAt(x, y, z) {
+    // Object3D's constructor does not have a head to turn yet
+    if (!this._parts) {
+      return;
+    }
+
+    const target = x.isVector3 ? x.clone() : new THREE.Vector3(x, y, z);
+    const {head} = this._parts;
+    const headSchema = clownParamsSchema.head;
+
+    // Work in the space of the head's parent, from the height of the eyes
+    this.updateWorldMatrix(true, true);
+    const toTarget = head.parent.worldToLocal(target).sub(head.position);
+    toTarget.y -= 5 * head.scale.y;
+
+    // Turn left or right first, then look up or down
+    const yaw = Math.atan2(toTarget.x, toTarget.z);
+    const pitch = -Math.atan2(toTarget.y, Math.hypot(toTarget.x, toTarget.z));
+    const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(pitch, yaw, 0, "YXZ"));
+    const euler = new THREE.Euler().setFromQuaternion(rotation, head.rotation.order);
+
+    // Write the solved angles back into the options
+    this.redraw({
+      head: {
+        rotX: clampParam(euler.x, headSchema.rotX),
+        rotY: clampParam(euler.y, headSchema.rotY),
+        rotZ: clampParam(euler.z, headSchema.rotZ),
+      },
+    });
+  }
+
+  /**
+   * Attaches an accessory to one of the clown's sockets, replacing whatever was attached
+   * there before. The attachment is part of the clown's options, so it stays through
+   * redraw() and is saved by toJSON().
+   * @example
+   * // Hold a blue balloon in the right hand
+   * clown.attach("rightHand", "balloon", {color: "#3b6cff"});
+   * @param {string} socket - Name of the socket within {@link clownSockets}
+   * @param {string} accessoryName - Name of the accessory within {@link clownAccessories}
+   * @param {Object} [options={}] - Options for the accessory's factory
+   * @return {?Object3D} Scene graph of the attached accessory
+   * @throws {ClownParamsError} If the accessory is unknown and the validation mode is
+   * "strict"
+   */
+  attach(socket, accessoryName, options = {}) {
+    if (!clownSockets[socket]) {
+      const sockets = Object.keys(clownSockets).join(", ");
+      throw new Error(`Unknown socket "${socket}", expected one of ${sockets}`);
+    }
+
+    this.redraw({accessories: {[socket]: {name: accessoryName, options}}});
+
+    return this._attachments[socket] ? this._attachments[socket].object : null;
+  }
+
+  /**
+   * Removes the accessory attached to one of the clown's sockets, if there is one.
+   * @example
+   * // Take off the hat
+   * clown.detach("headTop");
+   * @param {string} socket - Name of the socket within {@link clownSockets}
+   */
+  detach(socket) {
+    if (!clownSockets[socket]) {
+      const sockets = Object.keys(clownSockets).join(", ");
+      throw new Error(`Unknown socket "${socket}", expected one of ${sockets}`);
+    }
+
+    this.redraw({accessories: {[socket]: null}});
+  }
+
+  /**
+   * Saves the full state of the clown, its options and transform, as versioned JSON. When
+   * Three.js serializes a whole scene, the regular Object3D format is used instead.
+   * @example
+   * // Save the clown as a string
+   * const saved = JSON.stringify(clown.toJSON());
+   * @param {Object} [meta] - Metadata passed in by Three.js when serializing a scene
+   * @return {ClownJSON} The saved clown
+   */
+  toJSON(meta) {
+    // Let Three.js serialize the clown like any other Object3D as part of a scene
+    if (meta && typeof meta === "object") {
+      return super.toJSON(meta);
+    }
+
+    const {position, rotation, scale} = this;
+
+    return {
+      type: "Clown",
+      version: clownJSONVersion,
+      options: JSON.parse(JSON.stringify(this._options)),
+      transform: {
+        position: position.toArray(),
+        rotation: rotation.toArray(),
+        scale: scale.toArray(),
+      },
+    };
+  }
+
+  /**
+   * Loads a clown saved with {@link Clown#toJSON}. Files saved with an older version of the
+   * format are upgraded first with the migrations in {@link clownJSONMigrations}.
+   * @example
+   * // Load a clown from a string and add it to the scene
+   * scene.add(Clown.fromJSON(saved));
+   * @param {ClownJSON|string} json - The saved clown, either parsed or as a string
+   * @param {Object} [settings={}] - Settings for the clown, see the {@link Clown} constructor
+   * @return {Clown} The loaded clown
+   */
+  static fromJSON(json, settings = {}) {
+    // Parse the saved clown if needed
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+
+    if (!data || data.type !== "Clown") {
+      throw new Error("JSON does not describe a clown");
+    }
+
+    // Bring the saved clown up to date
+    const {options, transform} = migrateClownJSON(data);
+
+    // Create the clown and restore its transform
+    const clown = new Clown(options, settings);
+    if (transform) {
+      clown.position.fromArray(transform.position);
+      clown.rotation.fromArray(transform.rotation);
+      clown.scale.fromArray(transform.scale);
+    }
+
+    return clown;
+  }
+
+  /**
+   * Describes the scene graph of the clown as a tree of plain JSON, with the name, local
+   * transform, geometry, and material color of every part. Numbers are rounded so that the
+   * description stays the same across machines and tiny floating point differences, which
+   * makes it useful for comparing builds of the clown against the stored snapshots of
+   * test/snapshots.test.mjs.
+   * No renderer is needed, so it works in Node as well.
+   * @example
+   * // Returns {type: "SphereGeometry", parameters: {radius: 6, ...}}
+   * clown.describe().children[0].children[1].geometry;
+   * @param {Object} [settings={}] - Settings for the description
+   * @param {number} [settings.precision=4] - Number of decimals to round numbers to
+   * @return {ClownDescription} Description of the clown's scene graph
+   */
+  describe({precision = 4} = {}) {
+    // Round numbers and turn -0 into 0 so that they print the same everywhere
+    const factor = 10 ** precision;
+    const round = (value) => Math.round(value * factor) / factor + 0;
+    const roundAll = (object) => {
+      const rounded = {};
+      for (const [key, value] of Object.entries(object)) {
+        rounded[key] = typeof value === "number" ? round(value) : value;
+      }
+      return rounded;
+    };
+
+    const describeObject = (object) => {
+      const description = {
+        name: object.name,
+        type: object.type,
+        position: object.position.toArray().map(round),
+        rotation: object.rotation.toArray().slice(0, 3).map(round),
+        scale: object.scale.toArray().map(round),
+      };
+
+      if (object.isMesh) {
+        description.geometry = {
+          type: object.geometry.type,
+          parameters: roundAll(object.geometry.parameters || {}),
+        };
+        description.material = {
+          type: object.material.type,
+          color: `#${object.material.color.getHexString()}`,
+        };
+      }
+
+      description.children = object.children.map(describeObject);
+      return description;
+    };
+
+    return describeObject(this._clown);
+  }
+
+  /**
+   * Records every geometry and material used by the meshes of the given scene graph.
+   * @param {Object3D} object - Scene graph to record the resources of
+   */
+  _trackResources(object) {
+    object.traverse((child) => {
+      // Only meshes have a geometry and material
+      if (!child.isMesh) {
+        return;
+      }
+
+      this._geometries.add(child.geometry);
+      this._materials.add(child.material);
+    });
+  }
+
+  /**
+   * Disposes of every geometry and material used by the meshes of the given scene graph.
+   * Resources shared between meshes are only disposed of once.
+   * @param {Object3D} object - Scene graph to dispose the resources of
+   */
+  _disposeResources(object) {
+    object.traverse((child) => {
+      // Only meshes have a geometry and material
+      if (!child.isMesh) {
+        return;
+      }
+
+      // Dispose of the geometry if it has not been already
+      if (this._geometries.delete(child.geometry)) {
+        child.geometry.dispose();
+      }
+
+      // Dispose of the material if it has not been already
+      if (this._materials.delete(child.material)) {
+        child.material.dispose();
+      }
+    });
+  }
+
+  /**
+   * Updates the internal options for the clown with new, previous, or default values
+   * @param {ClownParams} options - Options that define how the clown should look
+   */
+  _setOptions(options) {
+    // If no _options property exists, add it
+    if (!this._options) {
+      // Create options with default values
+      this._options = createDefaultClownParams();
+    }
+
+    // Copy arm options into the clown's internal arm options
+    if (options.arms) {
+      const {arms} = options;
+
+      // Copy arm data
+      this._options.arms = {
+        ...this._options.arms,
+        ...arms,
+        // Copy left arm
+        leftArm: {
+          ...this._options.arms.leftArm,
+          ...arms.leftArm
+        },
+        // Copy right arm
+        rightArm: {
+          ...this._options.arms.rightArm,
+          ...arms.rightArm         
+        }
+      };
+    }
+    
+    // Copy leg options into the clown's internal leg options
+    if (options.legs) {
+      const {legs} = options;
+      
+      // Copy leg data
+      this._options.legs = {
+        ...this._options.legs,
+        ...legs,
+        // Copy left leg
+        leftLeg: {
+          ...this._options.legs.leftLeg,
+          ...legs.leftLeg
+        },
+        // Copy right leg
+        rightLeg: {
+          ...this._options.legs.rightLeg,
+          ...legs.rightLeg
+        }
+      };
+    }
+    
+    // Copy body options into the clown's internal body options
+    if (options.body) {
+      const {body} = options;
+      
+      // Copy body data
+      this._options.body = {
+        ...this._options.body,
+        ...body
+      };
+    }
+    
+    // Copy body options into the clown's internal body options
+    if (options.head) {
+      const {head} = options;
+      
+      // Copy head data
+      this._options.head = {
+        ...this._options.head,
+        ...head
+      }
+    }
+
+    // Copy color options into the clown's internal color options
+    if (options.colors) {
+      const {colors} = options;
+
+      // Copy color data
+      this._options.colors = {
+        ...this._options.colors,
+        ...colors
+      };
+    }
+
+    // Copy accessory options, replacing the attachment of each given socket entirely
+    if (options.accessories) {
+      const {accessories} = options;
+
+      // Copy accessory data
+      this._options.accessories = {
+        ...this._options.accessories,
+        ...accessories
+      };
+    }
+
+    // Copy the kind of material
+    if (options.material) {
+      this._options.material = options.material;
+    }
+
+    // Copy the quality, replacing any previous segment counts
+    if (options.quality) {
+      this._options.quality = options.quality;
+    }
+  }
+
+  /**
+   * Creates the entire clown.
+   * @param {ClownParams} options - Options that define the clown
+   * @return {Object3D} Scene graph of the entire clown
+   */
+  _createClown(options) {
+    const clown = new THREE.Object3D();
+    clown.name = "clown";
+
+    // Reset the references to the parts of the clown and their accessories
+    this._parts = {};
+    this._attachments = {};
+
+    // Create the body and add it to the clown
+    const body = this._createBody(options.body, options.arms, options.legs);
+    clown.add(body);
+
+    // Create the head and add it to the clown
+    const head = this._createHead(options.head);
+    clown.add(head);
+
+    // Look up every part by its name from now on, before any accessories are attached
+    clown.traverse((child) => {
+      if (child !== clown) {
+        this._parts[child.name] = child;
+      }
+    });
+
+    // Position, rotate, and scale every part into place
+    this._transformParts(options);
+
+    // Attach the accessories to their sockets
+    this._attachAccessories(options.accessories);
+
+    // Return the final clown scene graph
+    return clown;
+  }
+
+  /**
+   * Updates the existing clown to match the new options. Parts whose geometry depends on a
+   * changed length or radius are rebuilt while everything else is transformed in place.
+   * @param {ClownParams} prevOptions - Options the clown was previously drawn with
+   * @param {ClownParams} options - Options the clown should now be drawn with
+   */
+  _updateClown(prevOptions, options) {
+    if (JSON.stringify(prevOptions.quality) !== JSON.stringify(options.quality)) {
+      // A different quality rebuilds every part with its new number of segments
+      this._replacePart("body", this._createBody(options.body, options.arms, options.legs));
+      this._replacePart("head", this._createHead(options.head));
+
+      // Free the accessories so that they are built again with the new number of segments
+      for (const {object} of Object.values(this._attachments)) {
+        object.parent.remove(object);
+        this._disposeResources(object);
+      }
+      this._attachments = {};
+    } else {
+      // Rebuild the torso if the radius of the body changed
+      if (prevOptions.body.radius !== options.body.radius) {
+        this._replacePart("torso", this._createTorso(options.body.radius));
+      }
+
+      // Rebuild both arms if their length changed
+      if (prevOptions.arms.length !== options.arms.length) {
+        this._replacePart("leftArm", this._createArm(options.arms.length, "left"));
+        this._replacePart("rightArm", this._createArm(options.arms.length, "right"));
+      }
+
+      // Rebuild both legs if their length changed
+      if (prevOptions.legs.length !== options.legs.length) {
+        this._replacePart("leftLeg", this._createLeg(options.legs.length, "left"));
+        this._replacePart("rightLeg", this._createLeg(options.legs.length, "right"));
+      }
+    }
+
+    // Rotations, scales, and offsets are cheap so update them in place
+    this._transformParts(options);
+
+    // Attach the accessories that changed
+    this._attachAccessories(options.accessories);
+
+    // Colors are also changed in place on the existing materials
+    if (JSON.stringify(prevOptions.colors) !== JSON.stringify(options.colors)) {
+      this._colorParts(options.colors);
+    }
+
+    // A different kind of material only requires new materials, not new geometry
+    if (prevOptions.material !== options.material) {
+      this._replaceMaterials();
+    }
+  }
+
+  /**
+   * Finds the number of segments for the round parts of the clown from its quality option.
+   * @return {Segments} Segment counts of the clown's quality
+   */
+  _getSegments() {
+    const {quality} = this._options;
+    return typeof quality === "string" ? clownQualities[quality] : {...clownQualities.high, ...quality};
+  }
+
+  /**
+   * Creates the material for a part of the clown in the color and kind of material given by
+   * the clown's options. The material remembers which color it uses so that it can be
+   * recolored later on.
+   * @param {string} colorKey - Name of the color within {@link Colors}, or just a name for
+   * the material when a color of its own is given
+   * @param {string|number} [color] - Color of its own that the material keeps even when
+   * the clown's colors change
+   * @return {Material} The material for the part
+   */
+  _createMaterial(colorKey, color) {
+    const ownColor = color !== undefined;
+    if (!ownColor) {
+      color = this._options.colors[colorKey];
+    }
+
+    let material;
+
+    // Create the kind of material given by the options
+    switch (this._options.material) {
+      case "standard":
+        material = new THREE.MeshStandardMaterial({color, roughness: 0.6, metalness: 0});
+        break;
+      case "toon":
+        material = new THREE.MeshToonMaterial({color});
+        break;
+      default:
+        material = new THREE.MeshBasicMaterial({color});
+    }
+
+    // Name the material after its color so that it can be recolored and exported by name
+    material.name = colorKey;
+    material.userData.colorKey = colorKey;
+
+    // Remember colors that do not come from the clown's colors
+    if (ownColor) {
+      material.userData.color = color;
+    }
+
+    return material;
+  }
+
+  /**
+   * Replaces the material of every part of the clown with the kind of material given by the
+   * clown's options. Materials shared between parts stay shared.
+   */
+  _replaceMaterials() {
+    // Materials that were already replaced
+    const replacements = new Map();
+
+    this._clown.traverse((child) => {
+      // Only the materials created by _createMaterial() know their color
+      const colorKey = child.isMesh && child.material.userData.colorKey;
+      if (!colorKey) {
+        return;
+      }
+
+      // Create the replacement the first time a material is seen
+      if (!replacements.has(child.material)) {
+        replacements.set(child.material, this._createMaterial(colorKey, child.material.userData.color));
+      }
+
+      child.material = replacements.get(child.material);
+    });
+
+    // Free the old materials and keep track of the new ones
+    for (const [oldMaterial, material] of replacements) {
+      this._materials.delete(oldMaterial);
+      oldMaterial.dispose();
+      this._materials.add(material);
+    }
+  }
+
+  /**
+   * Lets every mesh of the given scene graph cast and receive shadows. Shadows only show up
+   * with the "standard" and "toon" materials and a light that casts shadows, such as the one
+   * from {@link createLightRig}.
+   * @param {Object3D} object - Scene graph to enable shadows for
+   */
+  _enableShadows(object) {
+    object.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+  }
+
+  /**
+   * Recolors the materials of every part of the clown.
+   * @param {Colors} colors - Colors of every part of the clown
+   */
+  _colorParts(colors) {
+    this._clown.traverse((child) => {
+      // Only the materials created by _createMaterial() know their color
+      const colorKey = child.isMesh && child.material.userData.colorKey;
+
+      // Materials with a color of their own keep it
+      if (colorKey && child.material.userData.color === undefined) {
+        child.material.color.set(colors[colorKey]);
+      }
+    });
+  }
+
+  /**
+   * Rebuilds a part of the clown in place from a newly built copy of it. Every mesh of the
+   * part takes over the geometry of its namesake in the copy and every piece takes over its
+   * layout, so the objects of the part, and anything attached to them, stay the same. The
+   * old geometries and the copy's materials are disposed of so that they do not leak.
+   * @param {string} name - Name of the part within _parts to rebuild
+   * @param {Object3D} part - The newly built copy of the part
+   */
+  _replacePart(name, part) {
+    // Keep track of the copy so that whatever is left of it can be freed afterwards
+    this._trackResources(part);
+
+    part.traverse((newChild) => {
+      const oldChild = this._parts[newChild.name];
+
+      // Take over the position, rotation, and scale of the copy
+      oldChild.position.copy(newChild.position);
+      oldChild.quaternion.copy(newChild.quaternion);
+      oldChild.scale.copy(newChild.scale);
+
+      // Swap the geometries so that the copy ends up holding the old one
+      if (newChild.isMesh) {
+        [oldChild.geometry, newChild.geometry] = [newChild.geometry, oldChild.geometry];
+      }
+    });
+
+    // Free the old geometries along with the copy's materials
+    this._disposeResources(part);
+  }
+
+  /**
+   * Builds the accessory of every socket whose attachment changed and removes the
+   * accessories of sockets that were emptied.
+   * @param {Accessories} accessories - Accessory attached to every socket
+   */
+  _attachAccessories(accessories) {
+    const createMaterial = (colorKey, color) => this._createMaterial(colorKey, color);
+
+    for (const [socket, part] of Object.entries(clownSockets)) {
+      const socketObject = this._parts[part];
+      const attachment = accessories[socket];
+      const key = JSON.stringify(attachment);
+      const current = this._attachments[socket];
+
+      // Nothing to do if the same accessory is still attached
+      if (current && current.key === key) {
+        continue;
+      }
+
+      // Free the old accessory
+      if (current) {
+        current.object.parent.remove(current.object);
+        this._disposeResources(current.object);
+        delete this._attachments[socket];
+      }
+
+      // Build the new accessory and add it to the socket
+      if (attachment) {
+        const accessory = clownAccessories[attachment.name](attachment.options, createMaterial, this._getSegments());
+        socketObject.add(accessory);
+        this._trackResources(accessory);
+        this._enableShadows(accessory);
+        this._attachments[socket] = {key, object: accessory};
+      }
+    }
+  }
+
+  /**
+   * Positions, rotates, and scales every part of the clown based on the given options.
+   * @param {ClownParams} options - Options that define the clown
+   */
+  _transformParts(options) {
+    const {torso, leftArm, rightArm, leftLeg, rightLeg, head} = this._parts;
+
+    // Obtain the radius and stretchY of the body
+    const {radius, stretchY} = options.body;
+
+    // Obtain the length of the legs
+    const legLength = options.legs.length;
+
+    // Find the offset for the torso
+    const bodyOffset = radius * stretchY;
+
+    // Scale the torso on the y-axis and position it above the legs
+    torso.scale.y = stretchY;
+    torso.position.set(0, legLength + bodyOffset - 1, 0);
+
+    // Place the chest socket on the front of the torso, halfway up its upper half
+    this._parts.chestSocket.position.set(
+      0,
+      torso.position.y + Math.sin(Math.PI/4) * radius * stretchY,
+      Math.cos(Math.PI/4) * radius
+    );
+
+    // Position and rotate both arms at the shoulders
+    {
+      // Find the x and y position for the top-right shoulder
+      const xShoulder = Math.cos(Math.PI/4) * radius;
+      const yShoulder = Math.sin(Math.PI/4) * radius * stretchY + legLength + bodyOffset;
+
+      // Position the left arm to the left shoulder
+      leftArm.position.set(xShoulder, yShoulder, 0);
+
+      // Rotate the left arm as per the x, y, and z rotation parameters and bend its elbow
+      {
+        const {rotX, rotY, rotZ, elbow} = options.arms.leftArm;
+        leftArm.rotation.set(rotX, rotY, rotZ);
+        this._parts.leftElbow.rotation.set(-elbow, 0, 0);
+      }
+
+      // Position the right arm to the right shoulder
+      rightArm.position.set(-xShoulder, yShoulder, 0);
+
+      // Rotate the right arm as per the x, y, and z rotation parameters and bend its elbow
+      {
+        const {rotX, rotY, rotZ, elbow} = options.arms.rightArm;
+        rightArm.rotation.set(rotX, rotY, rotZ);
+        this._parts.rightElbow.rotation.set(-elbow, 0, 0);
+      }
+    }
+
+    // Position both legs below the torso
+    leftLeg.position.set(2, legLength, 0);
+    rightLeg.position.set(-2, legLength, 0);
+
+    // Rotate the left leg at the hip as per the x, y, and z rotation parameters and bend its
+    // knee
+    {
+      const {rotX, rotY, rotZ, knee} = options.legs.leftLeg;
+      leftLeg.rotation.set(rotX, rotY, rotZ);
+      this._parts.leftKnee.rotation.set(knee, 0, 0);
+    }
+
+    // Rotate the right leg at the hip as per the x, y, and z rotation parameters and bend
+    // its knee
+    {
+      const {rotX, rotY, rotZ, knee} = options.legs.rightLeg;
+      rightLeg.rotation.set(rotX, rotY, rotZ);
+      this._parts.rightKnee.rotation.set(knee, 0, 0);
+    }
+
+    // Position, rotate, and scale the head
+    {
+      // Obtain the rotation and scale of the head on the x, y, and z axis
+      const {rotX, rotY, rotZ, scaleX, scaleY, scaleZ} = options.head;
+
+      // Rotate the head based on the given rotation parameters
+      head.rotation.set(rotX, rotY, rotZ);
+
+      // Scale the head based on the scale x, y, and z parameters
+      head.scale.set(scaleX, scaleY, scaleZ);
+
+      // Find the offset to place the head right above the torso
+      const headOffset = legLength + 2 * radius * stretchY - 1.5;
+
+      // Position the head above the body
+      head.position.set(0, headOffset, 0);
+    }
+
+    // Shape the mouth, eyes, and eyebrows for the expression
+    this._shapeFace(options.head);
+  }
+
+  /**
+   * Shapes the mouth, eyes, and eyebrows of the head for its expression. The expression is
+   * blended from fromExpression to expression, after which the eyes are closed by blink.
+   * Only the mouth needs new geometry, and only when its shape changed.
+   * @param {Head} headOptions - Options for the head
+   */
+  _shapeFace(headOptions) {
+    const {expression, fromExpression, expressionBlend, blink} = headOptions;
+
+    // Blend every value of the two expressions
+    const face = {};
+    for (const key of Object.keys(clownExpressions[expression])) {
+      const from = clownExpressions[fromExpression][key];
+      face[key] = from + (clownExpressions[expression][key] - from) * expressionBlend;
+    }
+
+    // Finds how far out the front of the dome is at a point on the face
+    const domeZ = (x, y) => Math.sqrt(Math.max(0, 25 - x * x - (y - 5) * (y - 5)));
+
+    // Size the eyes and close them for blinking, without ever scaling to zero
+    {
+      const eyes = [["leftEye", face.leftEyeOpen], ["rightEye", face.rightEyeOpen]];
+      for (const [name, open] of eyes) {
+        const eyeOpen = Math.max(open * (1 - blink), 0.05);
+        this._parts[name].scale.set(face.eyeSize, face.eyeSize * eyeOpen, face.eyeSize);
+      }
+    }
+
+    // Place the eyebrows above the eyes where a positive tilt raises their inner ends
+    {
+      const browY = 6.3 + 0.4 * (face.eyeSize - 1) + face.browHeight;
+      const brows = [["leftBrow", -1.5, 1], ["rightBrow", 1.5, -1]];
+
+      for (const [name, x, side] of brows) {
+        const brow = this._parts[name];
+        brow.position.set(x, browY, domeZ(x, browY));
+        brow.rotation.set(0, 0, Math.PI/2 + side * face.browTilt);
+      }
+    }
+
+    // Bend the mouth into an arc of a circle whose middle stays at the same spot, slightly
+    // off-center for a lopsided grin
+    {
+      const {smile} = this._parts;
+
+      // A nearly flat mouth is an arc of a very large circle
+      const curve = Math.abs(face.mouthCurve) < 0.02 ? 0.02 : face.mouthCurve;
+      const radius = Math.abs(1 / curve);
+      const arc = Math.min(face.mouthLength / radius, Math.PI * 2);
+
+      // Rebuild the mouth only if its arc or number of segments changed
+      const {parameters} = smile.geometry;
+      const segments = this._getSegments().smile;
+      if (Math.abs(parameters.radius - radius) > 1e-6 || Math.abs(parameters.arc - arc) > 1e-6 ||
+          parameters.tubularSegments !== segments) {
+        this._geometries.delete(smile.geometry);
+        smile.geometry.dispose();
+        smile.geometry = new THREE.TorusGeometry(radius, 0.25, segments, segments, arc);
+        this._geometries.add(smile.geometry);
+      }
+
+      // Direction from the center of the circle to the middle of the mouth, which points
+      // down for a smile and up for a frown
+      const middle = (curve > 0 ? -Math.PI/2 : Math.PI/2) + face.mouthTilt;
+      const centerX = 0.47 - radius * Math.cos(middle);
+      const centerY = 2.8 - radius * Math.sin(middle);
+
+      // Bring the mouth forward if its arc curls over parts of the dome that stick out more
+      let mouthZ = 4.25;
+      for (let i = 0; i <= 8; i++) {
+        const angle = middle - arc/2 + arc * i / 8;
+        const x = centerX + radius * Math.cos(angle);
+        const y = centerY + radius * Math.sin(angle);
+        mouthZ = Math.max(mouthZ, 4.25 + domeZ(x, y) - domeZ(0.47, 2.8));
+      }
+
+      smile.rotation.set(0, 0, middle - arc/2);
+      smile.position.set(centerX, centerY, mouthZ);
+    }
+  }
+
+  /**
+   * Creates the body of the clown. The parts of the body are positioned afterwards by
+   * _transformParts().
+   * @param {Body} bodyOptions - Options for the body
+   * @param {Arms} armOptions - Options for both arms
+   * @param {Legs} legOptions - Options for both legs
+   * @return {Object3D} Scene graph of the body of the clown
+   */
+  _createBody(bodyOptions, armOptions, legOptions) {
+    const body = new THREE.Object3D();
+    body.name = "body";
+
+    // Create the socket for accessories worn on the chest
+    const chestSocket = new THREE.Object3D();
+    chestSocket.name = "chestSocket";
+    body.add(chestSocket);
+
+    // Create the torso and add it to the body
+    {
+      const torso = this._createTorso(bodyOptions.radius);
+      body.add(torso);
+    }
+
+    // Create the left and right arms and add them to the body
+    {
+      // Get the length of both arms
+      const {length} = armOptions;
+
+      // Create the left arm and add it to the body
+      const leftArm = this._createArm(length, "left");
+      body.add(leftArm);
+
+      // Create the right arm and add it to the body
+      const rightArm = this._createArm(length, "right");
+      body.add(rightArm);
+    }
+
+    // Create and add both legs
+    {
+      // Get the length of the legs
+      const {length} = legOptions;
+
+      // Create and add the left leg to the body
+      const leftLeg = this._createLeg(length, "left");
+      body.add(leftLeg);
+
+      // Create and add the right leg to the body
+      const rightLeg = this._createLeg(length, "right");
+      body.add(rightLeg);
+    }
+
+    // Return the body scene graph
+    return body;
+  }
+
+  /**
+   * Creates the torso of the clown.
+   * @param {number} radius - Radius of the torso
+   * @return {Mesh} Mesh of the torso
+   */
+  _createTorso(radius) {
+    // Create the geometry, material, and mesh for the torso
+    const {round} = this._getSegments();
+    const torsoGeom = new THREE.SphereGeometry(radius, round, round);
+    const torsoMat = this._createMaterial("torso");
+    const torsoMesh = new THREE.Mesh(torsoGeom, torsoMat);
+    torsoMesh.name = "torso";
+
+    // Return the torso mesh
+    return torsoMesh;
+  }
+
+  /**
+   * Creates the leg of the clown. The leg is made of a thigh and a shin joined at the knee,
+   * which is a pivot that _transformParts() rotates to bend the leg. Every piece is named
+   * after the side of the leg, such as "leftKnee" and "leftFoot".
+   * @param {number} length - Length of the leg
+   * @param {string} side - Either "left" or "right"
+   * @return {Object3D} Scene graph of a leg
+   */
+  _createLeg(length, side) {
+    const leg = new THREE.Object3D();
+    leg.name = `${side}Leg`;
+
+    // Number of segments for the clown's quality
+    const {small, limbs} = this._getSegments();
+
+    // Material shared by the thigh, knee, and shin
+    const limbMat = this._createMaterial("legs");
+
+    // Create the thigh and add it to the leg
+    {
+      // Create the thigh geometry and mesh
+      const thighGeom = new THREE.CylinderGeometry(0.8, 0.8, length/2, limbs);
+      const thighMesh = new THREE.Mesh(thighGeom, limbMat);
+      thighMesh.name = `${side}Thigh`;
+
+      // Move the thigh down to keep origin at hip joint
+      thighMesh.position.set(0, -length/4, 0);
+
+      // Add the thigh to the leg object
+      leg.add(thighMesh);
+    }
+
+    // The knee pivot is at the bottom of the thigh and holds the rest of the leg
+    const knee = new THREE.Object3D();
+    knee.name = `${side}Knee`;
+    knee.position.set(0, -length/2, 0);
+    leg.add(knee);
+
+    // Create the knee joint and shin and add them to the knee
+    {
+      // Create a sphere to cover the seam between the thigh and shin when bent
+      const kneeGeom = new THREE.SphereGeometry(0.8, small, small);
+      const kneeMesh = new THREE.Mesh(kneeGeom, limbMat);
+      kneeMesh.name = `${side}KneeJoint`;
+      knee.add(kneeMesh);
+
+      // Create the shin geometry and mesh
+      const shinGeom = new THREE.CylinderGeometry(0.8, 0.8, length/2, limbs);
+      const shinMesh = new THREE.Mesh(shinGeom, limbMat);
+      shinMesh.name = `${side}Shin`;
+
+      // Move the shin down to keep origin at the knee
+      shinMesh.position.set(0, -length/4, 0);
+
+      // Add the shin to the knee
+      knee.add(shinMesh);
+    }
+
+    // Create the foot and add it to the knee so that it follows the shin
+    {
+      // Create the foot geometry, material, and mesh
+      const footGeom = new THREE.SphereGeometry(2, small, Math.ceil(small/2), 0, Math.PI * 2, 0, Math.PI / 2);
+      const footMat = this._createMaterial("feet");
+      const footMesh = new THREE.Mesh(footGeom, footMat);
+      footMesh.name = `${side}Foot`;
+
+      // Position the foot below the shin
+      footMesh.position.set(0, -length/2, 0);
+
+      // Add the foot to the knee
+      knee.add(footMesh);
+
+      // Create geometry and mesh for bottom of foot
+      const footBottomGeom = new THREE.CircleGeometry(2, small);
+      const footBottomMesh = new THREE.Mesh(footBottomGeom, footMat);
+      footBottomMesh.name = `${side}FootBottom`;
+
+      // Also position below the shin and rotate it into place
+      footBottomMesh.rotation.set(Math.PI/2, 0, 0);
+      footBottomMesh.position.set(0, -length/2 - 0.001, 0); // Minus 0.001 to prevent z fighting
+
+      // Add the bottom of the foot to the knee
+      knee.add(footBottomMesh);
+
+      // Create the socket for accessories worn on the foot
+      const footSocket = new THREE.Object3D();
+      footSocket.name = `${side}FootSocket`;
+      footSocket.position.set(0, -length/2, 0);
+      knee.add(footSocket);
+    }
+
+    // Return the leg scene graph
+    return leg;
+  }
+
+  /**
+   * Creates the arm of the clown. The arm is made of an upper arm and a forearm joined at the
+   * elbow, which is a pivot that _transformParts() rotates to bend the arm. Every piece is
+   * named after the side of the arm, such as "leftElbow" and "leftHand".
+   * @param {number} length - Length of the arm
+   * @param {string} side - Either "left" or "right"
+   * @return {Object3D} Scene graph for the arm
+   */
+  _createArm(length, side) {
+    const arm = new THREE.Object3D();
+    arm.name = `${side}Arm`;
+
+    // Number of segments for the clown's quality
+    const {small, limbs} = this._getSegments();
+
+    // Create and add the shoulder to the arm
+    {
+      // Create shoulder geometry, material, and mesh
+      const shoulderGeom = new THREE.SphereGeometry(2, small, small);
+      const shoulderMat = this._createMaterial("shoulders");
+      const shoulderMesh = new THREE.Mesh(shoulderGeom, shoulderMat);
+      shoulderMesh.name = `${side}Shoulder`;
+
+      // Add shoulder to arm
+      arm.add(shoulderMesh);
+    }
+
+    // Material shared by the upper arm, elbow, and forearm
+    const limbMat = this._createMaterial("arms");
+
+    // Create and add the upper arm to the arm
+    {
+      // Create upper arm geometry and mesh
+      const upperArmGeom = new THREE.CylinderGeometry(0.9, 0.9, length/2, limbs);
+      const upperArmMesh = new THREE.Mesh(upperArmGeom, limbMat);
+      upperArmMesh.name = `${side}UpperArm`;
+
+      // Move the upper arm down to keep origin at shoulder
+      upperArmMesh.position.set(0, -length/4, 0);
+
+      // Add upper arm to the arm
+      arm.add(upperArmMesh);
+    }
+
+    // The elbow pivot is at the bottom of the upper arm and holds the rest of the arm
+    const elbow = new THREE.Object3D();
+    elbow.name = `${side}Elbow`;
+    elbow.position.set(0, -length/2, 0);
+    arm.add(elbow);
+
+    // Create and add the elbow joint and forearm to the elbow
+    {
+      // Create a sphere to cover the seam between the upper arm and forearm when bent
+      const elbowGeom = new THREE.SphereGeometry(0.9, small, small);
+      const elbowMesh = new THREE.Mesh(elbowGeom, limbMat);
+      elbowMesh.name = `${side}ElbowJoint`;
+      elbow.add(elbowMesh);
+
+      // Create forearm geometry and mesh
+      const forearmGeom = new THREE.CylinderGeometry(0.9, 0.9, length/2, limbs);
+      const forearmMesh = new THREE.Mesh(forearmGeom, limbMat);
+      forearmMesh.name = `${side}Forearm`;
+
+      // Move the forearm down to keep origin at the elbow
+      forearmMesh.position.set(0, -length/4, 0);
+
+      // Add forearm to the elbow
+      elbow.add(forearmMesh);
+    }
+
+    // Create and add the hand to the elbow so that it follows the forearm
+    {
+      // Create hand geometry, material, and mesh
+      const handGeom = new THREE.SphereGeometry(1.5, small, small);
+      const handMat = this._createMaterial("hands");
+      const handMesh = new THREE.Mesh(handGeom, handMat);
+      handMesh.name = `${side}Hand`;
+
+      // Position the hand below the forearm
+      handMesh.position.set(0, 0.75 - length/2, 0);
+
+      // Add the hand to the elbow
+      elbow.add(handMesh);
+
+      // Create the socket for accessories held in the hand
+      const handSocket = new THREE.Object3D();
+      handSocket.name = `${side}HandSocket`;
+      handSocket.position.copy(handMesh.position);
+      elbow.add(handSocket);
+    }
+
+    // Return the arm scene graph
+    return arm;
+  }
+
+  /**
+   * Creates the head of the clown. The hat is an accessory attached to the top of the head.
+   * @param {Head} headOptions  - Options for the head
+   * @return {Object3D} Scene graph for the head of the clown
+   */
+  _createHead(headOptions) {
+    const head = new THREE.Object3D();
+    head.name = "head";
+
+    // Number of segments for the clown's quality
+    const {round, small, limbs, smile} = this._getSegments();
+
+    // Create and add the dome portion of the head to the head
+    {
+      // Create the dome geometry, material, and mesh
+      const domeGeom = new THREE.SphereGeometry(5, round, round);
+      const domeMat = this._createMaterial("head");
+      const domeMesh = new THREE.Mesh(domeGeom, domeMat);
+      domeMesh.name = "dome";
+
+      // Reposition the dome so that the orgin is where the neck is
+      domeMesh.position.set(0, 5, 0);
+
+      // Add the dome to the head
+      head.add(domeMesh);
+    }
+
+    // Material used for the ears, eyes, and nose
+    const featureMat = this._createMaterial("features");
+
+    // Create and add both ears to the head
+    {
+      // Create geometry for the ears
+      const earGeom = new THREE.SphereGeometry(1.5, round, round);
+
+      // Create both the left and right ear mesh
+      const leftEarMesh = new THREE.Mesh(earGeom, featureMat);
+      leftEarMesh.name = "leftEar";
+      const rightEarMesh = new THREE.Mesh(earGeom, featureMat);
+      rightEarMesh.name = "rightEar";
+
+      // Position the ears on both sides of the head
+      leftEarMesh.position.set(-5, 5, 0);
+      rightEarMesh.position.set(5, 5, 0);
+
+      // Add the ears to the head
+      head.add(leftEarMesh);
+      head.add(rightEarMesh);
+    }
+
+    // Create and add both eyes to the head
+    {
+      // Create eye geometry
+      const eyeGeom = new THREE.SphereGeometry(0.5, round, round);
+
+      // Create meshes for both eyes
+      const leftEyeMesh = new THREE.Mesh(eyeGeom, featureMat);
+      leftEyeMesh.name = "leftEye";
+      const rightEyeMesh = new THREE.Mesh(eyeGeom, featureMat);
+      rightEyeMesh.name = "rightEye";
+
+      // Position eyes in front of the head
+      leftEyeMesh.position.set(-1.5, 5, 4.75);
+      rightEyeMesh.position.set(1.5, 5, 4.75);
+
+      // Add eyes to the head
+      head.add(leftEyeMesh);
+      head.add(rightEyeMesh);
+    }
+
+    // Create and add the nose to the head
+    {
+      // Create nose geometry and mesh
+      const noseGeom = new THREE.SphereGeometry(0.3, small, small);
+      const noseMesh = new THREE.Mesh(noseGeom, featureMat);
+      noseMesh.name = "nose";
+
+      // Position nose in front of the head
+      noseMesh.position.set(0, 4.25, 4.85);
+
+      // Add nose to the head
+      head.add(noseMesh);
+    }
+
+    // Create and add both eyebrows to the head
+    {
+      // Create eyebrow geometry
+      const browGeom = new THREE.CylinderGeometry(0.15, 0.15, 1.6, limbs);
+
+      // Create meshes for both eyebrows
+      const leftBrowMesh = new THREE.Mesh(browGeom, featureMat);
+      const rightBrowMesh = new THREE.Mesh(browGeom, featureMat);
+      leftBrowMesh.name = "leftBrow";
+      rightBrowMesh.name = "rightBrow";
+
+      // Add eyebrows to the head, they are positioned by _shapeFace()
+      head.add(leftBrowMesh);
+      head.add(rightBrowMesh);
+    }
+
+    // Create and add the smile to the head
+    {
+      // Create smile geometry, material, and mesh
+      const smileGeom = new THREE.TorusGeometry(2.5, 0.25, smile, smile, Math.PI/3);
+      const smileMat = this._createMaterial("smile");
+      const smileMesh = new THREE.Mesh(smileGeom, smileMat);
+      smileMesh.name = "smile";
+
+      // Add smile to the head, it is shaped and positioned by _shapeFace()
+      head.add(smileMesh);
+    }
+
+    // Create the socket for accessories worn on top of the head, such as the hat
+    {
+      const headTopSocket = new THREE.Object3D();
+      headTopSocket.name = "headTopSocket";
+      headTopSocket.position.set(0, 10, 0);
+      head.add(headTopSocket);
+    }
+
+    // Return the scene graph for the head
+    return head;
+  }
+}
+
+// ====================================================================
+// ANIMATION CODE
+
+/**
+ * @typedef {Object} ClownTrack
+ * @property {string} path - Path of the animated value, either an option such as
+ * "arms.leftArm.rotZ" or one axis of the clown's transform such as "position.x" or
+ * "rotation.y"
+ * @property {string} easing - Name of the easing within {@link clownEasings} used between
+ * every pair of keyframes
+ * @property {number[]} times - Time of every keyframe in seconds, in increasing order
+ * @property {Array} values - Value of the path at every keyframe
+ * @property {boolean} [shortestAngle=true] - Whether angles take the shortest way around
+ * between two keyframes, so that 350 degrees followed by 10 degrees turns through 0. Set it
+ * to false to go through every value in between instead, such as for a full spin.
+ */
+
+/**
+ * @typedef {Object} ClownKeyframe
+ * @property {number} time - Time of the keyframe in seconds
+ * @property {ClownParams} [options] - Partial options of the clown at this time
+ * @property {Object} [transform] - Partial transform of the clown at this time such as
+ * {position: {y: 2}, rotation: {y: Math.PI}}
+ */
+
+/**
+ * Easing functions that can be used by the tracks of a {@link ClownClip}. Each one maps the
+ * progress between two keyframes, from 0 to 1, to an eased progress.
+ * @type {Object<string, function(number): number>}
+ */
+const clownEasings = {
+  linear: (t) => t,
+  step: (t) => (t < 1 ? 0 : 1),
+  easeIn: (t) => t * t,
+  easeOut: (t) => t * (2 - t),
+  easeInOut: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+};
+
+/** Objects of the clown's transform that tracks can animate. */
+const clownTransformPaths = ["position", "rotation", "scale"];
+
+/** Matches the paths of tracks that animate one axis of the clown's transform. */
+const clownTransformPathPattern = /^(position|rotation|scale)\.[xyz]$/;
+
+/**
+ * Finds the schema of an option from its path.
+ * @param {string} path - Path of the option such as "arms.leftArm.rotZ"
+ * @return {?ParamSchema} Schema of the option, or null if there is no such option
+ */
+function getParamSchema(path) {
+  const entry = path.split(".").reduce((group, key) => (group && group[key]) || null, clownParamsSchema);
+  return entry && isParamSchema(entry) ? entry : null;
+}
+
+/**
+ * Checks whether the values of a path are angles that wrap around, such as rotX, rotY, and
+ * rotZ of every joint and the rotation of the clown itself.
+ * @param {string} path - Path of the animated value
+ * @return {boolean} True if the value is an angle that wraps around
+ */
+function isAnglePath(path) {
+  return /(^|\.)rot[XYZ]$/.test(path) || /^rotation\.[xyz]$/.test(path);
+}
+
+/**
+ * Wraps an angle into the range from -PI to PI.
+ * @param {number} angle - Angle in radians
+ * @return {number} The same angle between -PI and PI
+ */
+function wrapAngle(angle) {
+  return angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+}
+
+/**
+ * Mixes two values of a path. Angles take the shortest way around unless asked not to,
+ * colors are mixed per channel, and enums, accessories, and qualities switch over halfway.
+ * @param {string} path - Path of the value
+ * @param {*} a - Value at t = 0
+ * @param {*} b - Value at t = 1
+ * @param {number} t - Amount of b to mix in
+ * @param {Object} [settings={}] - Settings for the mix
+ * @param {boolean} [settings.shortestAngle=true] - Whether angles take the shortest way
+ * around instead of going through every value between a and b
+ * @return {*} The mixed value
+ */
+function mixTrackValue(path, a, b, t, {shortestAngle = true} = {}) {
+  const entry = getParamSchema(path);
+
+  if (entry && entry.type === "color") {
+    return `#${new THREE.Color(a).lerp(new THREE.Color(b), t).getHexString()}`;
+  }
+
+  if (entry && (entry.type === "enum" || entry.type === "accessory" || entry.type === "quality")) {
+    return t < 0.5 ? a : b;
+  }
+
+  if (shortestAngle && isAnglePath(path)) {
+    return wrapAngle(a + wrapAngle(b - a) * t);
+  }
+
+  return a + (b - a) * t;
+}
+
+/**
+ * A named animation of a clown made of tracks, each of which animates a single option or
+ * transform value over time. Angles take the shortest way around, both between keyframes
+ * and when mixing a clip with other clips or the pose from before it started.
+ * @property {string} name - Name of the clip
+ * @property {number} duration - Length of the clip in seconds
+ * @property {ClownTrack[]} tracks - Tracks of the clip
+ */
+class ClownClip {
+  /**
+   * Constructor for the clip.
+   * @example
+   * // Wave the left arm back and forth
+   * const wave = new ClownClip("wave", [{
+   *   path: "arms.leftArm.rotZ",
+   *   easing: "easeInOut",
+   *   times: [0, 0.5, 1],
+   *   values: [2.5, 2, 2.5],
+   * }]);
+   * @param {string} name - Name of the clip
+   * @param {ClownTrack[]} tracks - Tracks of the clip
+   * @param {number} [duration] - Length of the clip, defaults to the time of the last
+   * keyframe
+   * @throws {Error} If a track has an unknown path or easing, or a value is missing for a
+   * keyframe
+   */
+  constructor(name, tracks, duration) {
+    this.name = name;
+    this.tracks = tracks.map((track) => ({easing: "linear", ...track}));
+
+    // Make sure every track can be played back
+    for (const {path, easing, times, values} of this.tracks) {
+      // Transforms are animated one axis at a time, since a whole Vector3 or the w of a
+      // quaternion would be written into the clown as NaN
+      if (clownTransformPaths.includes(String(path).split(".")[0])) {
+        if (!clownTransformPathPattern.test(path)) {
+          throw new Error(`Clip "${name}" animates "${path}", expected one axis of the ` +
+            `transform such as "position.x"`);
+        }
+      } else if (!getParamSchema(path)) {
+        throw new Error(`Clip "${name}" animates unknown path "${path}"`);
+      }
+      if (!clownEasings[easing]) {
+        throw new Error(`Clip "${name}" uses unknown easing "${easing}" for "${path}"`);
+      }
+      if (!times.length || times.length !== values.length) {
+        throw new Error(`Clip "${name}" needs a value for every keyframe of "${path}"`);
+      }
+    }
+
+    this.duration = duration !== undefined
+      ? duration
+      : Math.max(0, ...this.tracks.map(({times}) => times[times.length - 1]));
+  }
+
+  /**
+   * Creates a clip from keyframes that each hold partial options and transforms of the clown.
+   * Every value found in the keyframes becomes its own track.
+   * @example
+   * // Nod the head twice a second
+   * const nod = ClownClip.fromKeyframes("nod", [
+   *   {time: 0, options: {head: {rotX: 0}}},
+   *   {time: 0.25, options: {head: {rotX: 0.4}}},
+   *   {time: 0.5, options: {head: {rotX: 0}}},
+   * ], {easing: "easeInOut"});
+   * @param {string} name - Name of the clip
+   * @param {ClownKeyframe[]} keyframes - Keyframes of the clip in any order
+   * @param {Object} [settings={}] - Settings for the clip
+   * @param {string} [settings.easing="linear"] - Easing used by every track
+   * @param {Object<string, string>} [settings.easings={}] - Easing of individual tracks by
+   * path
+   * @param {number} [settings.duration] - Length of the clip
+   * @return {ClownClip} The new clip
+   */
+  static fromKeyframes(name, keyframes, {easing = "linear", easings = {}, duration} = {}) {
+    const tracks = new Map();
+
+    // Adds every leaf value of an object to the track of its path, where attachments are
+    // leaves even though they are objects
+    const addValues = (time, object, path) => {
+      for (const [key, value] of Object.entries(object)) {
+        const valuePath = path ? `${path}.${key}` : key;
+
+        if (value !== null && typeof value === "object" && !getParamSchema(valuePath)) {
+          addValues(time, value, valuePath);
+          continue;
+        }
+
+        if (!tracks.has(valuePath)) {
+          tracks.set(valuePath, {path: valuePath, easing: easings[valuePath] || easing, times: [], values: []});
+        }
+        tracks.get(valuePath).times.push(time);
+        tracks.get(valuePath).values.push(value);
+      }
+    };
+
+    const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+    for (const {time, options = {}, transform = {}} of sorted) {
+      addValues(time, options, "");
+      addValues(time, transform, "");
+    }
+
+    return new ClownClip(name, [...tracks.values()], duration);
+  }
+
+  /**
+   * Finds the value of a track at the given time.
+   * @param {ClownTrack} track - One of the tracks of the clip
+   * @param {number} time - Time within the clip in seconds
+   * @return {*} Value of the track at that time
+   */
+  static sampleTrack({path, easing, times, values, shortestAngle}, time) {
+    // Hold the first and last values outside of the keyframes
+    if (time <= times[0]) {
+      return values[0];
+    }
+    if (time >= times[times.length - 1]) {
+      return values[values.length - 1];
+    }
+
+    // Find the keyframes on either side of the time
+    let next = 1;
+    while (times[next] < time) {
+      next++;
+    }
+
+    const progress = (time - times[next - 1]) / (times[next] - times[next - 1]);
+    const t = clownEasings[easing](progress);
+    return mixTrackValue(path, values[next - 1], values[next], t, {shortestAngle});
+  }
+
+  /**
+   * Saves the clip as JSON.
+   * @return {Object} The saved clip
+   */
+  toJSON() {
+    return {name: this.name, duration: this.duration, tracks: this.tracks};
+  }
+
+  /**
+   * Loads a clip saved with {@link ClownClip#toJSON}.
+   * @param {Object|string} json - The saved clip, either parsed or as a string
+   * @return {ClownClip} The loaded clip
+   */
+  static fromJSON(json) {
+    const {name, tracks, duration} = typeof json === "string" ? JSON.parse(json) : json;
+    return new ClownClip(name, tracks, duration);
+  }
+}
+
+/**
+ * Playback state of a clip on a {@link ClownMixer}. Actions are created by the mixer.
+ * @property {ClownClip} clip - The clip being played
+ * @property {number} time - Current time within the clip in seconds
+ * @property {number} weight - How much the clip contributes to the pose, from 0 to 1
+ * @property {boolean} loop - Whether the clip starts over once it ends
+ * @property {boolean} paused - Whether the time of the action is frozen
+ * @property {number} timeScale - Speed of playback, 1 being normal speed
+ */
+class ClownAction {
+  /**
+   * Constructor for the action.
+   * @param {ClownClip} clip - The clip to play
+   * @param {Object} [settings={}] - Settings for the action
+   * @param {boolean} [settings.loop=true] - Whether the clip starts over once it ends
+   * @param {number} [settings.timeScale=1] - Speed of playback
+   */
+  constructor(clip, {loop = true, timeScale = 1} = {}) {
+    this.clip = clip;
+    this.time = 0;
+    this.weight = 1;
+    this.loop = loop;
+    this.paused = false;
+    this.timeScale = timeScale;
+
+    // Weight the action is fading towards, if it is fading
+    this._fade = null;
+  }
+
+  /** Freezes the action at its current time. */
+  pause() {
+    this.paused = true;
+  }
+
+  /** Continues playing the action from its current time. */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Fades the weight of the action to a new value over time.
+   * @param {number} weight - Weight to fade to
+   * @param {number} duration - Length of the fade in seconds
+   */
+  fadeTo(weight, duration) {
+    if (duration <= 0) {
+      this.weight = weight;
+      this._fade = null;
+      return;
+    }
+
+    this._fade = {from: this.weight, to: weight, duration, elapsed: 0};
+  }
+
+  /**
+   * Checks whether the action has nothing left to contribute. Actions that do not loop hold
+   * their last frame once they end, so they only finish by fading out.
+   * @return {boolean} True if the action faded out completely
+   */
+  isFinished() {
+    return this.weight === 0 && !this._fade;
+  }
+
+  /**
+   * Advances the time and fade of the action.
+   * @param {number} delta - Seconds that passed
+   */
+  _advance(delta) {
+    // Paused actions keep their time and weight
+    if (this.paused) {
+      return;
+    }
+
+    const {duration} = this.clip;
+    this.time += delta * this.timeScale;
+
+    // Wrap around the clip when looping, otherwise hold the last frame
+    if (this.loop && duration > 0) {
+      this.time = ((this.time % duration) + duration) % duration;
+    } else {
+      this.time = Math.min(Math.max(this.time, 0), duration);
+    }
+
+    // Move the weight along the fade
+    if (this._fade) {
+      const fade = this._fade;
+      fade.elapsed = Math.min(fade.elapsed + delta, fade.duration);
+      this.weight = fade.from + (fade.to - fade.from) * (fade.elapsed / fade.duration);
+
+      if (fade.elapsed === fade.duration) {
+        this._fade = null;
+      }
+    }
+  }
+}
+
+/**
+ * Plays clips on a clown. Time only moves when update() is called, which makes it easy to
+ * drive from requestAnimationFrame or to step by hand in tests. Every playing clip is mixed
+ * by its weight, and whatever weight is left over goes to the pose the clown had before the
+ * clip started.
+ * @example
+ * // Play a clip and advance the animation every frame
+ * const mixer = new ClownMixer(clown);
+ * mixer.play(wave);
+ * function animate(time) {
+ *   mixer.update(1/60);
+ *   TW.render();
+ *   requestAnimationFrame(animate);
+ * }
+ * @property {Clown} clown - The clown being animated
+ * @property {ClownAction[]} actions - Actions that are currently playing
+ * @property {boolean} paused - Whether every action is frozen
+ */
+class ClownMixer {
+  /**
+   * Constructor for the mixer.
+   * @param {Clown} clown - The clown to animate
+   */
+  constructor(clown) {
+    this.clown = clown;
+    this.actions = [];
+    this.paused = false;
+
+    // Value of every animated path before any clip touched it
+    this._restValues = new Map();
+  }
+
+  /**
+   * Starts playing a clip.
+   * @param {ClownClip} clip - The clip to play
+   * @param {Object} [settings={}] - Settings for the action, see {@link ClownAction}
+   * @param {number} [settings.fadeIn=0] - Seconds to fade the clip in over
+   * @return {ClownAction} The action playing the clip
+   */
+  play(clip, {fadeIn = 0, ...settings} = {}) {
+    const action = new ClownAction(clip, settings);
+
+    // Fade in from nothing if asked to
+    if (fadeIn > 0) {
+      action.weight = 0;
+      action.fadeTo(1, fadeIn);
+    }
+
+    this._rememberRestValues(clip);
+    this.actions.push(action);
+    return action;
+  }
+
+  /**
+   * Fades out every playing clip while fading in a new one.
+   * @example
+   * // Switch from waving to dancing over half a second
+   * mixer.crossFadeTo(dance, 0.5);
+   * @param {ClownClip} clip - The clip to fade to
+   * @param {number} duration - Length of the crossfade in seconds
+   * @param {Object} [settings={}] - Settings for the new action, see {@link ClownAction}
+   * @return {ClownAction} The action playing the new clip
+   */
+  crossFadeTo(clip, duration, settings = {}) {
+    // Fade out everything that is playing
+    for (const action of this.actions) {
+      action.fadeTo(0, duration);
+    }
+
+    return this.play(clip, {...settings, fadeIn: duration});
+  }
+
+  /**
+   * Stops playing a clip, or every clip if none is given. The clown keeps its current pose.
+   * @param {ClownClip} [clip] - The clip to stop
+   */
+  stop(clip) {
+    this.actions = clip ? this.actions.filter((action) => action.clip !== clip) : [];
+
+    // Take a new rest pose the next time a clip plays
+    if (!this.actions.length) {
+      this._restValues.clear();
+    }
+  }
+
+  /** Freezes every action. */
+  pause() {
+    this.paused = true;
+  }
+
+  /** Continues playing every action. */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Advances every action and poses the clown.
+   * @param {number} delta - Seconds that passed since the last update
+   */
+  update(delta) {
+    if (!this.paused) {
+      this.actions.forEach((action) => action._advance(delta));
+    }
+
+    this._apply();
+
+    // Drop actions that have nothing left to contribute now that they were applied one
+    // last time with no weight, which returns their values to the rest pose
+    this.actions = this.actions.filter((action) => !action.isFinished());
+  }
+
+  /**
+   * Remembers the current value of every path a clip animates, unless already known.
+   * @param {ClownClip} clip - The clip that is about to play
+   */
+  _rememberRestValues(clip) {
+    for (const {path} of clip.tracks) {
+      if (!this._restValues.has(path)) {
+        this._restValues.set(path, this._getValue(path));
+      }
+    }
+  }
+
+  /**
+   * Finds the current value of a path on the clown.
+   * @param {string} path - Path of an option or transform
+   * @return {*} The current value
+   */
+  _getValue(path) {
+    const [first, ...rest] = path.split(".");
+    const source = clownTransformPaths.includes(first) ? this.clown[first] : this.clown._options[first];
+    return rest.reduce((object, key) => object[key], source);
+  }
+
+  /** Mixes the tracks of every action by weight and poses the clown with the result. */
+  _apply() {
+    // Sum up the weighted value of every path
+    const mixed = new Map();
+    for (const action of this.actions) {
+      for (const track of action.clip.tracks) {
+        const value = ClownClip.sampleTrack(track, action.time);
+        const current = mixed.get(track.path);
+
+        // The first action sets the value while the rest are mixed in by their share
+        if (!current) {
+          mixed.set(track.path, {value, weight: action.weight});
+          continue;
+        }
+
+        const weight = current.weight + action.weight;
+        if (weight > 0) {
+          current.value = mixTrackValue(track.path, current.value, value, action.weight / weight);
+        }
+        current.weight = weight;
+      }
+    }
+
+    // Gather the options and set the transform
+    const options = {};
+    for (const [path, {value, weight}] of mixed) {
+      // Whatever weight is left goes to the pose from before the clips started
+      const finalValue = weight < 1
+        ? mixTrackValue(path, this._restValues.get(path), value, weight)
+        : value;
+
+      const keys = path.split(".");
+      if (clownTransformPaths.includes(keys[0])) {
+        this.clown[keys[0]][keys[1]] = finalValue;
+        continue;
+      }
+
+      // Build up the nested options, keeping numbers within their allowed range
+      const entry = getParamSchema(path);
+      const last = keys.pop();
+      const group = keys.reduce((object, key) => (object[key] = object[key] || {}), options);
+      group[last] = entry.type === "number" ? clampParam(finalValue, entry) : finalValue;
+    }
+
+    // Redraw the clown once with every animated option
+    if (Object.keys(options).length) {
+      this.clown.redraw(options);
+    }
+  }
+}
+
+// ====================================================================
+// FACIAL EXPRESSION CODE
+
+/**
+ * Brings a clown's face to life by blending between expressions over time and blinking
+ * every few seconds. Time only moves when update() is called, and the source of randomness
+ * for the blinks can be replaced so that tests are repeatable.
+ * @example
+ * // Blink on its own and look surprised for a moment
+ * const face = new ClownFace(clown);
+ * face.setExpression("surprised", 0.2);
+ * function animate() {
+ *   face.update(1/60);
+ *   TW.render();
+ *   requestAnimationFrame(animate);
+ * }
+ * @property {Clown} clown - The clown whose face is animated
+ * @property {boolean} autoBlink - Whether the clown blinks on its own
+ * @property {number[]} blinkInterval - Shortest and longest time between blinks in seconds
+ * @property {number} blinkDuration - How long a blink takes in seconds
+ */
+class ClownFace {
+  /**
+   * Constructor for the face.
+   * @param {Clown} clown - The clown whose face to animate
+   * @param {Object} [settings={}] - Settings for the face
+   * @param {boolean} [settings.autoBlink=true] - Whether the clown blinks on its own
+   * @param {number[]} [settings.blinkInterval=[2, 6]] - Shortest and longest time between
+   * blinks
+   * @param {number} [settings.blinkDuration=0.15] - How long a blink takes
+   * @param {function(): number} [settings.random=Math.random] - Source of random numbers
+   */
+  constructor(clown, {autoBlink = true, blinkInterval = [2, 6], blinkDuration = 0.15, random = Math.random} = {}) {
+    this.clown = clown;
+    this.autoBlink = autoBlink;
+    this.blinkInterval = blinkInterval;
+    this.blinkDuration = blinkDuration;
+    this._random = random;
+
+    // Time until the next blink and how far into the current blink the eyes are
+    this._untilBlink = this._nextBlinkDelay();
+    this._blinkTime = null;
+
+    // Current blend between expressions
+    this._blend = null;
+  }
+
+  /**
+   * Blends the face into a new expression.
+   * @param {string} expression - Name of the expression within {@link clownExpressions}
+   * @param {number} [duration=0.3] - Seconds to blend over, or 0 to switch right away
+   */
+  setExpression(expression, duration = 0.3) {
+    if (!clownExpressions[expression]) {
+      throw new Error(`Unknown expression "${expression}"`);
+    }
+
+    // Blend away from whichever expression the face mostly shows right now
+    const head = this.clown._options.head;
+    const fromExpression = head.expressionBlend < 0.5 ? head.fromExpression : head.expression;
+
+    if (duration <= 0) {
+      this._blend = null;
+      this.clown.redraw({head: {expression, fromExpression: expression, expressionBlend: 1}});
+      return;
+    }
+
+    this._blend = {elapsed: 0, duration};
+    this.clown.redraw({head: {expression, fromExpression, expressionBlend: 0}});
+  }
+
+  /** Closes and opens the eyes once, right away. */
+  blink() {
+    this._blinkTime = 0;
+  }
+
+  /**
+   * Advances the blend between expressions and the blinking.
+   * @param {number} delta - Seconds that passed since the last update
+   */
+  update(delta) {
+    const head = {};
+
+    // Move the blend between expressions along
+    if (this._blend) {
+      const blend = this._blend;
+      blend.elapsed = Math.min(blend.elapsed + delta, blend.duration);
+      head.expressionBlend = blend.elapsed / blend.duration;
+
+      if (blend.elapsed === blend.duration) {
+        this._blend = null;
+      }
+    }
+
+    // Count down to the next blink
+    if (this.autoBlink && this._blinkTime === null) {
+      this._untilBlink -= delta;
+
+      if (this._untilBlink <= 0) {
+        this.blink();
+        this._untilBlink = this._nextBlinkDelay();
+      }
+    }
+
+    // Close the eyes during the first half of the blink and open them in the second half
+    if (this._blinkTime !== null) {
+      this._blinkTime += delta;
+      const progress = Math.min(this._blinkTime / this.blinkDuration, 1);
+      head.blink = 1 - Math.abs(2 * progress - 1);
+
+      if (progress === 1) {
+        this._blinkTime = null;
+      }
+    }
+
+    if (Object.keys(head).length) {
+      this.clown.redraw({head});
+    }
+  }
+
+  /**
+   * Picks a random time until the next blink.
+   * @return {number} Seconds until the next blink
+   */
+  _nextBlinkDelay() {
+    const [shortest, longest] = this.blinkInterval;
+    return shortest + (longest - shortest) * this._random();
+  }
+}
+
+// ====================================================================
+// GLTF EXPORT CODE
+
+/**
+ * Exports a clown to glTF 2.0 so it can be opened in Blender or a game engine. The scene
+ * graph is kept as is, so the shoulders, hips, and neck become parent nodes named after the
+ * part they hold (leftArm, rightLeg, head, and so on). Every color becomes a glTF material.
+ * No browser APIs are needed, so this also works in Node.
+ * @example
+ * // Write a binary GLB file in Node
+ * fs.writeFileSync("clown.glb", Buffer.from(exportClownGLTF(clown, {binary: true})));
+ * @example
+ * // Write a glTF file with its buffer embedded in it
+ * fs.writeFileSync("clown.gltf", JSON.stringify(exportClownGLTF(clown)));
+ * @param {Clown} clown - The clown to export
+ * @param {Object} [settings={}] - Settings for the export
+ * @param {boolean} [settings.binary=false] - Export a GLB file instead of glTF JSON
+ * @return {Object|ArrayBuffer} The glTF JSON, or the contents of a GLB file if binary
+ */
+function exportClownGLTF(clown, {binary = false} = {}) {
+  const gltf = {
+    asset: {version: "2.0", generator: "Clown glTF exporter"},
+    scene: 0,
+    scenes: [{nodes: [0]}],
+    nodes: [],
+    meshes: [],
+    materials: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: [],
+  };
+
+  // Chunks of binary data that make up the single buffer of the file
+  const chunks = [];
+  let byteLength = 0;
+
+  // Meshes and materials that were already exported, so that shared ones are reused
+  const meshIndices = new Map();
+  const materialIndices = new Map();
+
+  // Adds binary data to the buffer and returns the index of its buffer view
+  const addBufferView = (array, target) => {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+
+    // Every buffer view must start on a multiple of four bytes
+    const padding = (4 - (byteLength % 4)) % 4;
+    if (padding) {
+      chunks.push(new Uint8Array(padding));
+      byteLength += padding;
+    }
+
+    gltf.bufferViews.push({buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength, target});
+    chunks.push(bytes);
+    byteLength += bytes.byteLength;
+
+    return gltf.bufferViews.length - 1;
+  };
+
+  // Adds an accessor for a geometry attribute or index and returns its index
+  const addAccessor = (array, type, target, withBounds) => {
+    const accessor = {
+      bufferView: addBufferView(array, target),
+      componentType: array instanceof Float32Array ? 5126 : array instanceof Uint16Array ? 5123 : 5125,
+      count: array.length / (type === "VEC3" ? 3 : 1),
+      type,
+    };
+
+    // Positions are required to have their bounds
+    if (withBounds) {
+      const box = new THREE.Box3().setFromArray(array);
+      accessor.min = box.min.toArray();
+      accessor.max = box.max.toArray();
+    }
+
+    gltf.accessors.push(accessor);
+    return gltf.accessors.length - 1;
+  };
+
+  // Exports a material as a glTF material and returns its index
+  const addMaterial = (material) => {
+    if (materialIndices.has(material)) {
+      return materialIndices.get(material);
+    }
+
+    // glTF colors are linear while Three.js colors are given in sRGB
+    const color = material.color.clone().convertSRGBToLinear();
+
+    const gltfMaterial = {
+      name: material.name || `#${material.color.getHexString()}`,
+      pbrMetallicRoughness: {
+        baseColorFactor: [color.r, color.g, color.b, material.opacity],
+        metallicFactor: material.isMeshStandardMaterial ? material.metalness : 0,
+        roughnessFactor: material.isMeshStandardMaterial ? material.roughness : 1,
+      },
+    };
+
+    // Basic materials are not affected by lights, which glTF calls unlit
+    if (material.isMeshBasicMaterial) {
+      gltfMaterial.extensions = {KHR_materials_unlit: {}};
+      gltf.extensionsUsed = ["KHR_materials_unlit"];
+    }
+
+    // Keep flat parts such as the bottom of the feet visible from both sides
+    if (material.side === THREE.DoubleSide) {
+      gltfMaterial.doubleSided = true;
+    }
+
+    gltf.materials.push(gltfMaterial);
+    materialIndices.set(material, gltf.materials.length - 1);
+    return gltf.materials.length - 1;
+  };
+
+  // Exports the geometry and material of a mesh as a glTF mesh and returns its index
+  const addMesh = (mesh) => {
+    const {geometry, material} = mesh;
+
+    // The same geometry and material pair is only exported once
+    const key = `${geometry.uuid}:${material.uuid}`;
+    if (meshIndices.has(key)) {
+      return meshIndices.get(key);
+    }
+
+    const attributes = {
+      POSITION: addAccessor(Float32Array.from(geometry.attributes.position.array), "VEC3", 34962, true),
+    };
+
+    if (geometry.attributes.normal) {
+      attributes.NORMAL = addAccessor(Float32Array.from(geometry.attributes.normal.array), "VEC3", 34962, false);
+    }
+
+    const primitive = {attributes, material: addMaterial(material)};
+
+    // Use the smallest index type that fits every vertex
+    if (geometry.index) {
+      const vertexCount = geometry.attributes.position.count;
+      const IndexArray = vertexCount > 65535 ? Uint32Array : Uint16Array;
+      primitive.indices = addAccessor(IndexArray.from(geometry.index.array), "SCALAR", 34963, false);
+    }
+
+    gltf.meshes.push({name: mesh.name, primitives: [primitive]});
+    meshIndices.set(key, gltf.meshes.length - 1);
+    return gltf.meshes.length - 1;
+  };
+
+  // Exports an object and all of its children as nodes and returns the index of its node
+  const addNode = (object) => {
+    const node = {name: object.name || object.type};
+    const index = gltf.nodes.length;
+    gltf.nodes.push(node);
+
+    // Only write the parts of the transform that are not the default
+    if (!object.position.equals(new THREE.Vector3())) {
+      node.translation = object.position.toArray();
+    }
+    if (!object.quaternion.equals(new THREE.Quaternion())) {
+      node.rotation = object.quaternion.toArray();
+    }
+    if (!object.scale.equals(new THREE.Vector3(1, 1, 1))) {
+      node.scale = object.scale.toArray();
+    }
+
+    if (object.isMesh) {
+      node.mesh = addMesh(object);
+    }
+
+    // Export the visible children beneath this node
+    const children = object.children.filter((child) => child.visible).map(addNode);
+    if (children.length) {
+      node.children = children;
+    }
+
+    return index;
+  };
+
+  // Export the clown itself as the root node
+  addNode(clown);
+  gltf.nodes[0].name = clown.name || "Clown";
+
+  // Join every chunk into the single buffer
+  const buffer = new Uint8Array(Math.ceil(byteLength / 4) * 4);
+  {
+    let offset = 0;
+    for (const chunk of chunks) {
+      buffer.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+  }
+
+  // GLB files store the buffer in a binary chunk after the JSON
+  if (binary) {
+    gltf.buffers.push({byteLength: buffer.byteLength});
+    return createGLB(gltf, buffer);
+  }
+
+  // glTF files embed the buffer as a base64 data URI
+  gltf.buffers.push({
+    byteLength: buffer.byteLength,
+    uri: `data:application/octet-stream;base64,${bytesToBase64(buffer)}`,
+  });
+  return gltf;
+}
+
+/**
+ * Packs glTF JSON and its buffer into the binary GLB container.
+ * @param {Object} gltf - The glTF JSON
+ * @param {Uint8Array} buffer - The binary buffer, padded to a multiple of four bytes
+ * @return {ArrayBuffer} The contents of the GLB file
+ */
+function createGLB(gltf, buffer) {
+  // The JSON chunk is padded with spaces to a multiple of four bytes
+  const json = new TextEncoder().encode(JSON.stringify(gltf));
+  const jsonLength = Math.ceil(json.byteLength / 4) * 4;
+
+  // The header is 12 bytes and every chunk has an 8 byte header of its own
+  const totalLength = 12 + 8 + jsonLength + 8 + buffer.byteLength;
+  const glb = new ArrayBuffer(totalLength);
+  const view = new DataView(glb);
+  const bytes = new Uint8Array(glb);
+
+  // File header: magic "glTF", version, and total length
+  view.setUint32(0, 0x46546c67, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+
+  // JSON chunk
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, 0x4e4f534a, true);
+  bytes.fill(0x20, 20, 20 + jsonLength);
+  bytes.set(json, 20);
+
+  // Binary chunk
+  const binOffset = 20 + jsonLength;
+  view.setUint32(binOffset, buffer.byteLength, true);
+  view.setUint32(binOffset + 4, 0x004e4942, true);
+  bytes.set(buffer, binOffset + 8);
+
+  return glb;
+}
+
+/**
+ * Encodes bytes as base64 without relying on Node's Buffer.
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @return {string} The base64 encoded bytes
+ */
+function bytesToBase64(bytes) {
+  let binary = "";
+
+  // Convert in slices to stay clear of the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return btoa(binary);
+}
+
+// ====================================================================
+// 3D PRINT EXPORT CODE
+
+/**
+ * @typedef {Object} PrintReport
+ * @property {number} triangles - Number of triangles in the mesh
+ * @property {number} vertices - Number of vertices in the mesh
+ * @property {number} shells - Number of separate pieces the mesh is made of. Parts that do
+ * not touch, or that are thinner than a grid cell, come out as pieces of their own.
+ * @property {number} minFeatureSize - Thickness of the thinnest part in millimetres
+ * @property {string[]} thinParts - Names of the parts that are thinner than the nozzle
+ * width, which the slicer leaves out or prints too weak to hold
+ * @property {boolean} printable - True if the mesh is a single piece without thin parts
+ */
+
+/**
+ * @typedef {Object} PrintMesh
+ * @property {Float32Array} vertices - Vertex positions in millimetres as x, y, z triples
+ * with the z-axis pointing up
+ * @property {Uint32Array} triangles - Vertex indices of every triangle, wound
+ * counter-clockwise when seen from outside
+ * @property {PrintReport} report - Whether the mesh is fit for printing
+ */
+
+/**
+ * Turns a clown into a single closed mesh that can be sent to a slicer. The clown is made of
+ * separate overlapping primitives, some of which are open (the feet are hemispheres capped
+ * by a circle), so every mesh is first baked into the clown's local space as a solid shape.
+ * The union of those shapes is then sampled on a grid and its surface extracted with
+ * marching tetrahedra, which always yields a closed surface. Finally, the mesh is rotated
+ * so that the z-axis points up and scaled to the target height in millimetres with its
+ * feet resting on z = 0.
+ *
+ * Since the surface is always closed, the report does not look for holes. It checks what
+ * can still go wrong at the chosen height: parts that end up thinner than the nozzle, and
+ * pieces that are not connected to the rest of the clown.
+ * @example
+ * // Create a 150mm tall clown and check that it can be printed
+ * const printMesh = createClownPrintMesh(clown, {height: 150});
+ * console.log(printMesh.report.printable);
+ * @param {Clown} clown - The clown to turn into a print mesh
+ * @param {Object} [settings={}] - Settings for the print mesh
+ * @param {number} [settings.height=100] - Height of the printed clown in millimetres
+ * @param {number} [settings.resolution=160] - Number of grid cells along the height of
+ * the clown. Higher values keep small parts such as the nose and smile more detailed.
+ * @param {number} [settings.nozzleWidth=0.4] - Width of the printer's nozzle in
+ * millimetres, which is the thinnest part it can print
+ * @return {PrintMesh} The closed mesh along with a report on its printability
+ */
+function createClownPrintMesh(clown, {height = 100, resolution = 160, nozzleWidth = 0.4} = {}) {
+  // Bake every visible mesh into a solid shape in the clown's local space
+  const solids = [];
+  {
+    clown.updateMatrixWorld(true);
+    const toClown = clown.matrixWorld.clone().invert();
+
+    clown.traverseVisible((child) => {
+      if (!child.isMesh) {
+        return;
+      }
+
+      const matrix = toClown.clone().multiply(child.matrixWorld);
+      const solid = createPrintSolid(child.geometry, matrix);
+
+      // Flat shapes such as the bottom of the feet have no volume of their own
+      if (solid) {
+        solid.name = child.name;
+        solids.push(solid);
+      }
+    });
+  }
+
+  // Find the bounds of the entire clown
+  const bounds = new THREE.Box3();
+  for (const solid of solids) {
+    bounds.union(solid.box);
+  }
+
+  // Size the grid cells so that the clown is the given number of cells tall
+  const cellSize = (bounds.max.y - bounds.min.y) / resolution;
+
+  // Leave a margin of empty cells around the clown so that its surface is closed
+  bounds.expandByScalar(2 * cellSize);
+  const origin = bounds.min;
+  const nx = Math.ceil((bounds.max.x - origin.x) / cellSize) + 1;
+  const ny = Math.ceil((bounds.max.y - origin.y) / cellSize) + 1;
+  const nz = Math.ceil((bounds.max.z - origin.z) / cellSize) + 1;
+
+  // Sample the distance to the union of every solid at each grid point. Points far from
+  // every solid only need to be known to be outside.
+  const distances = new Float32Array(nx * ny * nz).fill(2 * cellSize);
+  {
+    const point = new THREE.Vector3();
+
+    for (const solid of solids) {
+      // Only visit the grid points near the solid
+      const min = solid.box.min;
+      const max = solid.box.max;
+      const x0 = Math.max(0, Math.floor((min.x - origin.x) / cellSize) - 1);
+      const y0 = Math.max(0, Math.floor((min.y - origin.y) / cellSize) - 1);
+      const z0 = Math.max(0, Math.floor((min.z - origin.z) / cellSize) - 1);
+      const x1 = Math.min(nx - 1, Math.ceil((max.x - origin.x) / cellSize) + 1);
+      const y1 = Math.min(ny - 1, Math.ceil((max.y - origin.y) / cellSize) + 1);
+      const z1 = Math.min(nz - 1, Math.ceil((max.z - origin.z) / cellSize) + 1);
+
+      for (let z = z0; z <= z1; z++) {
+        for (let y = y0; y <= y1; y++) {
+          for (let x = x0; x <= x1; x++) {
+            point.set(origin.x + x * cellSize, origin.y + y * cellSize, origin.z + z * cellSize);
+            const index = x + nx * (y + ny * z);
+            distances[index] = Math.min(distances[index], solid.distance(point));
+          }
+        }
+      }
+    }
+  }
+
+  // Extract the surface of the union
+  const {positions, triangles} = marchTetrahedra(distances, nx, ny, nz);
+
+  // Convert the grid coordinates back to the clown's local space
+  const vertices = new Float32Array(positions.length);
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < positions.length; i += 3) {
+    vertices[i] = origin.x + positions[i] * cellSize;
+    vertices[i + 1] = origin.y + positions[i + 1] * cellSize;
+    vertices[i + 2] = origin.z + positions[i + 2] * cellSize;
+    minY = Math.min(minY, vertices[i + 1]);
+    maxY = Math.max(maxY, vertices[i + 1]);
+  }
+
+  // Rotate the clown so that z is up, scale it to millimetres, and rest it on z = 0
+  const scale = height / (maxY - minY);
+  {
+    for (let i = 0; i < vertices.length; i += 3) {
+      const y = vertices[i + 1];
+      const z = vertices[i + 2];
+
+      // The clown's y-axis becomes the z-axis and its z-axis the negative y-axis
+      vertices[i] *= scale;
+      vertices[i + 1] = -z * scale;
+      vertices[i + 2] = (y - minY) * scale;
+    }
+  }
+
+  // Measure every part at the printed size
+  const parts = solids.map(({name, thickness}) => ({name, thickness: thickness * scale}));
+
+  return {
+    vertices,
+    triangles,
+    report: createPrintReport(vertices.length / 3, triangles, parts, nozzleWidth),
+  };
+}
+
+/**
+ * Creates a solid shape from the geometry of a mesh. Spheres (including the hemisphere of
+ * the feet), cylinders, and tori (including the arc of the smile) are solid versions of
+ * themselves while any other geometry is approximated by its bounding box.
+ * @param {BufferGeometry} geometry - Geometry of the mesh
+ * @param {Matrix4} matrix - Transform from the geometry to the clown's local space
+ * @return {?{box: Box3, thickness: number, distance: function(Vector3): number}} Bounds of
+ * the solid in the clown's local space, its thickness at the narrowest point, and its
+ * approximate signed distance function, or null if the geometry is flat
+ */
+function createPrintSolid(geometry, matrix) {
+  const params = geometry.parameters || {};
+  let localDistance;
+  let localThickness;
+
+  if (geometry.type === "SphereGeometry" || geometry.type === "SphereBufferGeometry") {
+    // Spheres are cut off below thetaStart + thetaLength, which is how the feet are made
+    const {radius, thetaStart = 0, thetaLength = Math.PI} = params;
+    const capY = radius * Math.cos(thetaStart + thetaLength);
+    localThickness = Math.min(2 * radius, radius - capY);
+
+    localDistance = (p) => {
+      const sphere = p.length() - radius;
+      return thetaStart + thetaLength < Math.PI ? Math.max(sphere, capY - p.y) : sphere;
+    };
+  } else if (geometry.type === "CylinderGeometry" || geometry.type === "CylinderBufferGeometry") {
+    // Cylinders may taper, like the top of the hat
+    const {radiusTop, radiusBottom, height} = params;
+
+    // The point of a cone is left to the slicer, so only the wider end counts
+    localThickness = Math.min(2 * Math.max(radiusTop, radiusBottom), height);
+
+    localDistance = (p) => {
+      const t = Math.min(Math.max(p.y / height + 0.5, 0), 1);
+      const radial = Math.hypot(p.x, p.z) - (radiusBottom + (radiusTop - radiusBottom) * t);
+      return Math.max(radial, Math.abs(p.y) - height / 2);
+    };
+  } else if (geometry.type === "TorusGeometry" || geometry.type === "TorusBufferGeometry") {
+    // Tori may only be an arc, like the smile, whose ends are closed off with round caps
+    const {radius, tube, arc = Math.PI * 2} = params;
+    localThickness = 2 * tube;
+
+    localDistance = (p) => {
+      let angle = Math.atan2(p.y, p.x);
+      if (angle < 0) {
+        angle += Math.PI * 2;
+      }
+
+      // Use whichever end of the arc is closer when outside of it
+      if (angle > arc) {
+        angle = angle - arc < Math.PI * 2 - angle ? arc : 0;
+      }
+
+      const cx = radius * Math.cos(angle);
+      const cy = radius * Math.sin(angle);
+      return Math.hypot(p.x - cx, p.y - cy, p.z) - tube;
+    };
+  } else {
+    // Approximate any other geometry by its bounding box
+    if (!geometry.boundingBox) {
+      geometry.computeBoundingBox();
+    }
+
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+    const half = geometry.boundingBox.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+
+    // Flat geometry such as a circle has no volume
+    if (Math.min(half.x, half.y, half.z) === 0) {
+      return null;
+    }
+    localThickness = 2 * Math.min(half.x, half.y, half.z);
+
+    localDistance = (p) => Math.max(
+      Math.abs(p.x - center.x) - half.x,
+      Math.abs(p.y - center.y) - half.y,
+      Math.abs(p.z - center.z) - half.z
+    );
+  }
+
+  // Bounds of the solid in the clown's local space
+  if (!geometry.boundingBox) {
+    geometry.computeBoundingBox();
+  }
+  const box = geometry.boundingBox.clone().applyMatrix4(matrix);
+
+  // Distances shrink by the smallest scale of the transform at most, which keeps the
+  // distance conservative for scaled parts such as the torso and head
+  const inverse = matrix.clone().invert();
+  const scale = new THREE.Vector3().setFromMatrixScale(matrix);
+  const minScale = Math.min(scale.x, scale.y, scale.z);
+  const local = new THREE.Vector3();
+
+  return {
+    box,
+    thickness: localThickness * minScale,
+    distance: (point) => localDistance(local.copy(point).applyMatrix4(inverse)) * minScale,
+  };
+}
+
+/**
+ * Extracts the surface where the sampled distances cross zero. Every grid cell is split into
+ * six tetrahedra that share the cell's main diagonal, which splits neighboring cells
+ * consistently, so the resulting surface is always closed and manifold.
+ * @param {Float32Array} distances - Signed distance at every grid point, negative inside
+ * @param {number} nx - Number of grid points along the x-axis
+ * @param {number} ny - Number of grid points along the y-axis
+ * @param {number} nz - Number of grid points along the z-axis
+ * @return {{positions: number[], triangles: Uint32Array}} Vertex positions in grid
+ * coordinates along with the vertex indices of every triangle
+ */
+function marchTetrahedra(distances, nx, ny, nz) {
+  // Corners of a cell as offsets along x, y, and z where bit 0 is x, bit 1 is y, bit 2 is z
+  const corners = [0, 1, 2, 3, 4, 5, 6, 7].map((c) => [c & 1, (c >> 1) & 1, (c >> 2) & 1]);
+
+  // The six tetrahedra that share the diagonal from corner 0 to corner 7
+  const tetrahedra = [[0, 1, 3, 7], [0, 1, 5, 7], [0, 2, 3, 7], [0, 2, 6, 7], [0, 4, 5, 7], [0, 4, 6, 7]];
+
+  const positions = [];
+  const triangles = [];
+
+  // Vertices are shared by every triangle that crosses the same grid edge
+  const edgeVertices = new Map();
+  const gridCount = nx * ny * nz;
+
+  // Returns the value at a grid point where exactly zero counts as outside
+  const valueAt = (index) => distances[index] || Number.EPSILON;
+
+  // Returns the index of the vertex where the surface crosses the edge between two points
+  const edgeVertex = (a, b) => {
+    const key = a < b ? a * gridCount + b : b * gridCount + a;
+    let vertex = edgeVertices.get(key);
+
+    if (vertex === undefined) {
+      const da = valueAt(a);
+      const db = valueAt(b);
+      const t = da / (da - db);
+
+      // Interpolate between the grid coordinates of both points
+      const ax = a % nx;
+      const ay = Math.floor(a / nx) % ny;
+      const az = Math.floor(a / (nx * ny));
+      const bx = b % nx;
+      const by = Math.floor(b / nx) % ny;
+      const bz = Math.floor(b / (nx * ny));
+      positions.push(ax + (bx - ax) * t, ay + (by - ay) * t, az + (bz - az) * t);
+
+      vertex = positions.length / 3 - 1;
+      edgeVertices.set(key, vertex);
+    }
+
+    return vertex;
+  };
+
+  // Adds a triangle wound so that its normal points from the inside points to the outside
+  const addTriangle = (v0, v1, v2, inside, outside) => {
+    const p = (v) => new THREE.Vector3(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+    const a = p(v0);
+    const normal = p(v1).sub(a).cross(p(v2).sub(a));
+
+    if (normal.dot(outside.clone().sub(inside)) < 0) {
+      triangles.push(v0, v2, v1);
+    } else {
+      triangles.push(v0, v1, v2);
+    }
+  };
+
+  // Returns the grid coordinates of a grid point
+  const gridPoint = (index) => new THREE.Vector3(index % nx, Math.floor(index / nx) % ny, Math.floor(index / (nx * ny)));
+
+  // Returns the average position of the given grid points
+  const centroid = (points) => points.reduce((sum, point) => sum.add(gridPoint(point)), new THREE.Vector3()).divideScalar(points.length);
+
+  for (let z = 0; z < nz - 1; z++) {
+    for (let y = 0; y < ny - 1; y++) {
+      for (let x = 0; x < nx - 1; x++) {
+        // Grid indices of the corners of this cell
+        const cell = corners.map(([cx, cy, cz]) => x + cx + nx * (y + cy + ny * (z + cz)));
+
+        // Skip cells that are entirely inside or outside
+        const insideCount = cell.filter((index) => valueAt(index) < 0).length;
+        if (insideCount === 0 || insideCount === 8) {
+          continue;
+        }
+
+        for (const tetrahedron of tetrahedra) {
+          const points = tetrahedron.map((corner) => cell[corner]);
+          const inside = points.filter((index) => valueAt(index) < 0);
+          const outside = points.filter((index) => valueAt(index) >= 0);
+
+          if (inside.length === 0 || outside.length === 0) {
+            continue;
+          }
+
+          const insideCenter = centroid(inside);
+          const outsideCenter = centroid(outside);
+
+          if (inside.length === 1 || outside.length === 1) {
+            // One point is cut off from the other three by a single triangle
+            const [lone, others] = inside.length === 1 ? [inside[0], outside] : [outside[0], inside];
+            const [v0, v1, v2] = others.map((other) => edgeVertex(lone, other));
+            addTriangle(v0, v1, v2, insideCenter, outsideCenter);
+          } else {
+            // Two points are cut off from the other two by a quad made of two triangles
+            const [a, b] = inside;
+            const [c, d] = outside;
+            const ac = edgeVertex(a, c);
+            const ad = edgeVertex(a, d);
+            const bc = edgeVertex(b, c);
+            const bd = edgeVertex(b, d);
+            addTriangle(ac, ad, bd, insideCenter, outsideCenter);
+            addTriangle(ac, bd, bc, insideCenter, outsideCenter);
+          }
+        }
+      }
+    }
+  }
+
+  return {positions, triangles: Uint32Array.from(triangles)};
+}
+
+/**
+ * Checks a triangle mesh for separate pieces and parts that are too thin to print.
+ * @param {number} vertexCount - Number of vertices in the mesh
+ * @param {Uint32Array} triangles - Vertex indices of every triangle
+ * @param {Array<{name: string, thickness: number}>} parts - Every part of the clown with its
+ * thickness in millimetres
+ * @param {number} nozzleWidth - Width of the printer's nozzle in millimetres
+ * @return {PrintReport} Report on whether the mesh can be printed
+ */
+function createPrintReport(vertexCount, triangles, parts, nozzleWidth) {
+  // Count the separate pieces by joining the vertices of every triangle
+  const parents = new Uint32Array(vertexCount).map((_, i) => i);
+  const find = (v) => {
+    while (parents[v] !== v) {
+      parents[v] = parents[parents[v]];
+      v = parents[v];
+    }
+    return v;
+  };
+  for (let i = 0; i < triangles.length; i += 3) {
+    const root = find(triangles[i]);
+    parents[find(triangles[i + 1])] = root;
+    parents[find(triangles[i + 2])] = find(triangles[i]);
+  }
+  const roots = new Set();
+  for (let i = 0; i < triangles.length; i++) {
+    roots.add(find(triangles[i]));
+  }
+
+  // Find the parts that the nozzle is too wide for
+  const thinParts = new Set();
+  let minFeatureSize = Infinity;
+  for (const {name, thickness} of parts) {
+    minFeatureSize = Math.min(minFeatureSize, thickness);
+    if (thickness < nozzleWidth) {
+      thinParts.add(name);
+    }
+  }
+
+  return {
+    triangles: triangles.length / 3,
+    vertices: vertexCount,
+    shells: roots.size,
+    minFeatureSize,
+    thinParts: [...thinParts],
+    printable: roots.size === 1 && thinParts.size === 0,
+  };
+}
+
+/**
+ * Writes a print mesh as a binary STL file. STL has no units, but slicers read it as
+ * millimetres.
+ * @example
+ * // Save a 150mm tall clown in Node
+ * const printMesh = createClownPrintMesh(clown, {height: 150});
+ * fs.writeFileSync("clown.stl", Buffer.from(printMeshToSTL(printMesh)));
+ * @param {PrintMesh} printMesh - Mesh created by {@link createClownPrintMesh}
+ * @return {ArrayBuffer} The contents of the STL file
+ */
+function printMeshToSTL({vertices, triangles}) {
+  const triangleCount = triangles.length / 3;
+
+  // An 80 byte header, the triangle count, then 50 bytes for each triangle
+  const stl = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(stl);
+
+  // The header is free text that slicers ignore
+  const header = "Clown print mesh, units: millimetres";
+  for (let i = 0; i < header.length; i++) {
+    view.setUint8(i, header.charCodeAt(i));
+  }
+  view.setUint32(80, triangleCount, true);
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+
+  for (let i = 0; i < triangleCount; i++) {
+    a.fromArray(vertices, triangles[i * 3] * 3);
+    b.fromArray(vertices, triangles[i * 3 + 1] * 3);
+    c.fromArray(vertices, triangles[i * 3 + 2] * 3);
+
+    // Facet normal followed by the three corners
+    const normal = new THREE.Triangle(a, b, c).getNormal(new THREE.Vector3());
+    const offset = 84 + i * 50;
+    [normal, a, b, c].forEach((vector, j) => {
+      view.setFloat32(offset + j * 12, vector.x, true);
+      view.setFloat32(offset + j * 12 + 4, vector.y, true);
+      view.setFloat32(offset + j * 12 + 8, vector.z, true);
+    });
+
+    // Attribute byte count is unused
+    view.setUint16(offset + 48, 0, true);
+  }
+
+  return stl;
+}
+
+/**
+ * Writes a print mesh as an OBJ file in millimetres.
+ * @param {PrintMesh} printMesh - Mesh created by {@link createClownPrintMesh}
+ * @return {string} The contents of the OBJ file
+ */
+function printMeshToOBJ({vertices, triangles}) {
+  const lines = ["# Clown print mesh", "# Units: millimetres", "o clown"];
+
+  for (let i = 0; i < vertices.length; i += 3) {
+    lines.push(`v ${vertices[i].toFixed(4)} ${vertices[i + 1].toFixed(4)} ${vertices[i + 2].toFixed(4)}`);
+  }
+
+  // OBJ indices start at one
+  for (let i = 0; i < triangles.length; i += 3) {
+    lines.push(`f ${triangles[i] + 1} ${triangles[i + 1] + 1} ${triangles[i + 2] + 1}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// ====================================================================
+// CROWD CODE
+
+/**
+ * Merges partial options into a complete set of options the way redraw() does, where
+ * groups are merged key by key and every other value is replaced.
+ * @param {ClownParams} options - Complete options to merge into, which are left unchanged
+ * @param {ClownParams} changes - Valid partial options to merge in
+ * @param {Object} [schema=clownParamsSchema] - Schema of the options
+ * @return {ClownParams} The merged options
+ */
+function mergeClownParams(options, changes, schema = clownParamsSchema) {
+  const merged = {...options};
+
+  for (const [key, value] of Object.entries(changes)) {
+    merged[key] = isParamSchema(schema[key]) ? value : mergeClownParams(options[key], value, schema[key]);
+  }
+
+  return merged;
+}
+
+/**
+ * A clown within a {@link ClownCrowd}. A member has the options and transform of a clown
+ * without any meshes of its own, so it can be posed and animated like a clown, including by
+ * a {@link ClownMixer}, {@link ClownWalker}, or {@link ClownFace}. Changes to its options
+ * and transform show up once the crowd's update() is called.
+ * @property {ClownParams} _options - Current options of the member
+ * @property {string} _validation - How invalid options are handled: "strict", "clamp", or
+ * "warn"
+ * @property {boolean} _needsLayout - Whether the options changed since the parts were laid
+ * out
+ * @property {Object[]} _parts - Batch, matrix, and color of every mesh of the member
+ * @property {Set<string>} _geometryKeys - Keys of the crowd's shared geometries that the
+ * parts are drawn with
+ * @extends THREE.Object3D
+ */
+class ClownCrowdMember extends THREE.Object3D {
+  /**
+   * Constructor for the member, use {@link ClownCrowd#addMember} instead.
+   * @param {ClownParams} [options={}] - Options that define how the member should look
+   * @param {Object} [settings={}] - Settings for how the member behaves
+   * @param {string} [settings.validation="strict"] - How invalid options are handled, see
+   * {@link validateClownParams}
+   */
+  constructor(options = {}, {validation = "strict"} = {}) {
+    super();
+
+    this._validation = validation;
+    this._options = createDefaultClownParams();
+    this._parts = [];
+    this._geometryKeys = new Set();
+    this.redraw(options);
+  }
+
+  /**
+   * Changes the options of the member, merging partial options just like
+   * {@link Clown#redraw}. Afterwards, the member dispatches a "change" event.
+   * @param {ClownParams} [options={}] - Options that define how the member should look
+   * @throws {ClownParamsError} If an option is invalid and the validation mode is "strict"
+   */
+  redraw(options = {}) {
+    const validOptions = validateClownParams(options, this._validation);
+
+    this._options = mergeClownParams(this._options, validOptions);
+    this._needsLayout = true;
+
+    this.dispatchEvent({type: "change"});
+  }
+
+  /**
+   * Saves the member in the same format as {@link Clown#toJSON}.
+   * @return {ClownJSON} The saved member
+   */
+  toJSON() {
+    return {
+      type: "Clown",
+      version: clownJSONVersion,
+      options: JSON.parse(JSON.stringify(this._options)),
+      transform: {
+        position: this.position.toArray(),
+        rotation: this.rotation.toArray(),
+        scale: this.scale.toArray(),
+      },
+    };
+  }
+}
+
+/**
+ * @typedef {Object} ClownCrowdStats
+ * @property {number} members - Number of members in the crowd
+ * @property {number} drawCalls - Draw calls needed to render the crowd
+ * @property {number} geometries - Geometries shared by the crowd
+ * @property {number} materials - Materials shared by the crowd
+ * @property {number} bytes - Bytes taken up by the shared geometries and the instance
+ * matrices and colors
+ * @property {Object} asClowns - The same numbers if every member were a {@link Clown}
+ * @property {number} asClowns.drawCalls - Draw calls, one for every mesh
+ * @property {number} asClowns.geometries - Geometries of every clown
+ * @property {number} asClowns.materials - Materials of every clown
+ * @property {number} asClowns.bytes - Bytes taken up by the geometries of every clown
+ */
+
+/**
+ * Renders many clowns at once by sharing their geometries and materials. Every member of the
+ * crowd has its own options and transform, so members can differ in pose, limb lengths, head
+ * scale, expression, colors, and accessories. Meshes with the same shape are drawn together
+ * by one InstancedMesh, where limbs of any length share one cylinder and round parts of any
+ * size share one sphere, and colors are given to every instance. A member can be turned into
+ * a full {@link Clown} for individual editing and added back afterwards.
+ *
+ * The crowd lays out the parts of a member by redrawing a hidden clown with its options, so
+ * changing the options of many members at once costs about as much as redrawing that many
+ * clowns. Moving members is cheap. Call update() after changing members to show the changes.
+ * @example
+ * // Add a crowd of 500 clowns of different heights
+ * const crowd = new ClownCrowd();
+ * for (let i = 0; i < 500; i++) {
+ *   const member = crowd.addMember({legs: {length: 5 + Math.random() * 10}});
+ *   member.position.set((i % 25) * 20, 0, Math.floor(i / 25) * 20);
+ * }
+ * crowd.update();
+ * scene.add(crowd);
+ *
+ * // Compare the draw calls with those of separate clowns
+ * const {drawCalls, asClowns} = crowd.getStats();
+ *
+ * // Edit one of them as a clown of its own
+ * scene.add(crowd.toClown(crowd.members[0]));
+ * crowd.update();
+ * @property {ClownCrowdMember[]} members - Every member of the crowd
+ * @property {Clown} _template - Hidden clown used to lay out the parts of members
+ * @property {Map<string, Object>} _geometries - Shared geometry by its shape and the scale
+ * that turns it back into the original
+ * @property {Map<string, Material>} _materials - Shared white material for every kind of
+ * material
+ * @property {Map<string, InstancedMesh>} _batches - InstancedMesh for every shape and kind of
+ * material
+ * @property {string} _validation - How invalid options are handled: "strict", "clamp", or
+ * "warn"
+ * @extends THREE.Object3D
+ */
+class ClownCrowd extends THREE.Object3D {
+  /**
+   * Constructor for the crowd.
+   * @param {Object} [settings={}] - Settings for the crowd
+   * @param {string} [settings.validation="strict"] - How invalid options of members are
+   * handled, see {@link validateClownParams}
+   */
+  constructor({validation = "strict"} = {}) {
+    super();
+
+    this.members = [];
+    this._validation = validation;
+    this._template = new Clown({}, {validation});
+    this._geometries = new Map();
+    this._materials = new Map();
+    this._batches = new Map();
+  }
+
+  /**
+   * Adds a member to the crowd.
+   * @example
+   * // Add a member with a big head
+   * crowd.addMember({head: {scaleX: 1.5, scaleY: 1.5, scaleZ: 1.5}});
+   *
+   * // Put a clown back into the crowd
+   * crowd.addMember(clown);
+   * clown.dispose();
+   * @param {ClownParams|Clown} [options={}] - Options of the member, or a clown to copy the
+   * options and transform of
+   * @return {ClownCrowdMember} The new member
+   * @throws {ClownParamsError} If an option is invalid and the validation mode is "strict"
+   */
+  addMember(options = {}) {
+    let member;
+    if (options instanceof Clown) {
+      member = new ClownCrowdMember(options._options, {validation: this._validation});
+      member.position.copy(options.position);
+      member.quaternion.copy(options.quaternion);
+      member.scale.copy(options.scale);
+    } else {
+      member = new ClownCrowdMember(options, {validation: this._validation});
+    }
+
+    this.members.push(member);
+    return member;
+  }
+
+  /**
+   * Removes a member from the crowd.
+   * @param {ClownCrowdMember} member - The member to remove
+   */
+  removeMember(member) {
+    const index = this.members.indexOf(member);
+    if (index === -1) {
+      return;
+    }
+
+    this.members.splice(index, 1);
+
+    // Free the shapes that no other member is drawn with
+    member._geometryKeys.forEach((key) => this._releaseGeometry(key));
+    member._geometryKeys.clear();
+  }
+
+  /**
+   * Turns a member into a clown with the same options and transform, and removes the member
+   * from the crowd. Add the clown back with {@link ClownCrowd#addMember} once done editing
+   * it.
+   * @param {ClownCrowdMember} member - The member to turn into a clown
+   * @return {Clown} The new clown, not yet added to any scene
+   */
+  toClown(member) {
+    const clown = new Clown(member._options, {validation: this._validation});
+    clown.position.copy(member.position);
+    clown.quaternion.copy(member.quaternion);
+    clown.scale.copy(member.scale);
+
+    this.removeMember(member);
+    return clown;
+  }
+
+  /**
+   * Shows the current options and transform of every member. Only members whose options
+   * changed are laid out again.
+   */
+  update() {
+    // Lay out the members with changed options, grouping members with the same lengths so
+    // that the template rebuilds its limbs as rarely as possible
+    const changed = this.members.filter((member) => member._needsLayout);
+    const lengths = ({_options: {arms, legs, body}}) => [arms.length, legs.length, body.radius];
+    changed.sort((a, b) => {
+      const [lengthsA, lengthsB] = [lengths(a), lengths(b)];
+      return lengthsA[0] - lengthsB[0] || lengthsA[1] - lengthsB[1] || lengthsA[2] - lengthsB[2];
+    });
+    changed.forEach((member) => this._layOut(member));
+
+    // Count the instances of every batch
+    const counts = new Map();
+    for (const member of this.members) {
+      for (const {batch} of member._parts) {
+        counts.set(batch, (counts.get(batch) || 0) + 1);
+      }
+    }
+
+    // Make room for the instances, growing batches that became too small
+    for (const [key, batch] of this._batches) {
+      const count = counts.get(key) || 0;
+      if (count > batch.instanceMatrix.count) {
+        this._batches.set(key, this._resizeBatch(batch, count * 2));
+      }
+    }
+
+    // Place and color every instance
+    const matrix = new THREE.Matrix4();
+    const indices = new Map();
+    for (const member of this.members) {
+      member.updateMatrix();
+
+      for (const part of member._parts) {
+        const batch = this._batches.get(part.batch);
+        const index = indices.get(batch) || 0;
+        indices.set(batch, index + 1);
+
+        batch.setMatrixAt(index, matrix.multiplyMatrices(member.matrix, part.matrix));
+        batch.setColorAt(index, part.color);
+      }
+    }
+
+    // Only draw as many instances as there are, and hide batches without any
+    for (const batch of this._batches.values()) {
+      batch.count = indices.get(batch) || 0;
+      batch.visible = batch.count > 0;
+      batch.instanceMatrix.needsUpdate = true;
+      batch.instanceColor.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Counts the draw calls, geometries, materials, and bytes used by the crowd, along with
+   * what separate clowns would use. Members added or changed since the last update() are
+   * laid out first, so that every member is counted, while the draw calls and bytes of the
+   * instances are up to date as of the last update().
+   * @example
+   * // 10 draw calls for a crowd of 500 default clowns instead of 16000
+   * crowd.getStats().drawCalls;
+   * @return {ClownCrowdStats} The counts
+   */
+  getStats() {
+    this.members.filter((member) => member._needsLayout).forEach((member) => this._layOut(member));
+
+    const batches = [...this._batches.values()].filter((batch) => batch.count > 0);
+
+    // Count the bytes of the shared geometries and of the instances
+    let bytes = 0;
+    for (const {geometry} of this._geometries.values()) {
+      bytes += getGeometryBytes(geometry);
+    }
+    for (const batch of this._batches.values()) {
+      bytes += batch.instanceMatrix.array.byteLength + batch.instanceColor.array.byteLength;
+    }
+
+    // Add up what every member would use as a clown
+    const asClowns = {drawCalls: 0, geometries: 0, materials: 0, bytes: 0};
+    for (const member of this.members) {
+      for (const key of Object.keys(asClowns)) {
+        asClowns[key] += member._resources[key];
+      }
+    }
+
+    return {
+      members: this.members.length,
+      drawCalls: batches.length,
+      geometries: this._geometries.size,
+      materials: this._materials.size,
+      bytes,
+      asClowns,
+    };
+  }
+
+  /**
+   * Frees the shared geometries and materials along with the hidden template clown. Calling
+   * update() afterwards builds them again.
+   */
+  dispose() {
+    for (const batch of this._batches.values()) {
+      this.remove(batch);
+      batch.dispose();
+    }
+    for (const {geometry} of this._geometries.values()) {
+      geometry.dispose();
+    }
+    for (const material of this._materials.values()) {
+      material.dispose();
+    }
+
+    this._batches.clear();
+    this._geometries.clear();
+    this._materials.clear();
+    this._template.dispose();
+
+    // Every member has to be laid out again with the new geometries
+    for (const member of this.members) {
+      member._needsLayout = true;
+      member._geometryKeys.clear();
+    }
+  }
+
+  /**
+   * Finds the batch, matrix, and color of every mesh of a member by redrawing the template
+   * with the member's options.
+   * @param {ClownCrowdMember} member - The member to lay out
+   */
+  _layOut(member) {
+    const template = this._template;
+    template.redraw(member._options);
+    template.updateMatrixWorld(true);
+
+    // The template is never part of a scene, so its world matrices are relative to itself
+    member._parts = [];
+    const geometryKeys = new Set();
+    const resources = {drawCalls: 0, geometries: 0, materials: 0, bytes: 0};
+    template.traverse((child) => {
+      if (!child.isMesh) {
+        return;
+      }
+
+      const {key, scale} = this._getGeometry(child.geometry);
+      const batch = this._getBatch(key, child);
+      geometryKeys.add(key);
+
+      member._parts.push({
+        batch: batch.name,
+        matrix: child.matrixWorld.clone().scale(scale),
+        color: child.material.color.clone(),
+      });
+      resources.drawCalls++;
+    });
+
+    // Remember what the member would use as a clown
+    for (const geometry of template._geometries) {
+      resources.bytes += getGeometryBytes(geometry);
+    }
+    Object.assign(resources, template.getResourceCounts());
+    member._resources = resources;
+
+    // Hold on to the new shapes before letting go of the old ones, so that shapes the member
+    // keeps using are not freed and built again
+    geometryKeys.forEach((key) => this._geometries.get(key).users++);
+    member._geometryKeys.forEach((key) => this._releaseGeometry(key));
+    member._geometryKeys = geometryKeys;
+
+    member._needsLayout = false;
+  }
+
+  /**
+   * Finds the shared geometry with the shape of the given geometry, creating it the first
+   * time the shape is seen. Cylinders share a height of 1 and spheres a radius of 1, so that
+   * limbs and round parts of every size can share them.
+   * @param {BufferGeometry} geometry - Geometry of a mesh of the template
+   * @return {{key: string, scale: Vector3}} Key of the shared geometry and the scale that
+   * turns it into the given geometry
+   */
+  _getGeometry(geometry) {
+    const {type, parameters} = geometry;
+    const shape = {...parameters};
+    const scale = new THREE.Vector3(1, 1, 1);
+
+    if (type === "CylinderGeometry" || type === "CylinderBufferGeometry") {
+      scale.y = shape.height;
+      shape.height = 1;
+    }
+    if (type === "SphereGeometry" || type === "SphereBufferGeometry") {
+      scale.setScalar(shape.radius);
+      shape.radius = 1;
+    }
+
+    // Round the parameters so that rounding errors do not tell identical shapes apart
+    const round = (name, value) => typeof value === "number" ? Math.round(value * 1e6) / 1e6 : value;
+    const key = `${type}${JSON.stringify(shape, round)}`;
+    if (!this._geometries.has(key)) {
+      const shared = geometry.clone();
+      shared.scale(1 / scale.x, 1 / scale.y, 1 / scale.z);
+      this._geometries.set(key, {geometry: shared, users: 0, batches: new Set()});
+    }
+
+    return {key, scale};
+  }
+
+  /**
+   * Lets go of a shared geometry for one member. Once no member is drawn with it anymore,
+   * the geometry is freed along with every batch that draws it.
+   * @param {string} key - Key of the shared geometry
+   */
+  _releaseGeometry(key) {
+    const shared = this._geometries.get(key);
+    if (!shared || --shared.users > 0) {
+      return;
+    }
+
+    for (const batchKey of shared.batches) {
+      const batch = this._batches.get(batchKey);
+      this.remove(batch);
+      batch.dispose();
+      this._batches.delete(batchKey);
+    }
+
+    shared.geometry.dispose();
+    this._geometries.delete(key);
+  }
+
+  /**
+   * Finds the batch that draws the shared geometry with the kind of material of the given
+   * mesh, creating it the first time it is needed.
+   * @param {string} geometryKey - Key of the shared geometry
+   * @param {Mesh} mesh - Mesh of the template
+   * @return {InstancedMesh} The batch
+   */
+  _getBatch(geometryKey, mesh) {
+    const {type} = mesh.material;
+    const key = `${geometryKey}:${type}`;
+
+    // The instances bring their own colors, which tint a white material
+    if (!this._materials.has(type)) {
+      const material = mesh.material.clone();
+      material.color.set(0xffffff);
+      this._materials.set(type, material);
+    }
+
+    if (!this._batches.has(key)) {
+      const batch = this._createBatch(this._geometries.get(geometryKey).geometry, this._materials.get(type), 16);
+      batch.name = key;
+      batch.castShadow = mesh.castShadow;
+      batch.receiveShadow = mesh.receiveShadow;
+      this._batches.set(key, batch);
+      this._geometries.get(geometryKey).batches.add(key);
+    }
+
+    return this._batches.get(key);
+  }
+
+  /**
+   * Creates an InstancedMesh with room for colors and adds it to the crowd.
+   * @param {BufferGeometry} geometry - Shared geometry to draw
+   * @param {Material} material - Shared material to draw with
+   * @param {number} capacity - Largest number of instances
+   * @return {InstancedMesh} The batch
+   */
+  _createBatch(geometry, material, capacity) {
+    const batch = new THREE.InstancedMesh(geometry, material, capacity);
+    batch.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    batch.count = 0;
+
+    // The bounds of the shared geometry say nothing about where the instances are
+    batch.frustumCulled = false;
+
+    this.add(batch);
+    return batch;
+  }
+
+  /**
+   * Replaces a batch with a copy that has room for more instances.
+   * @param {InstancedMesh} batch - The batch to replace
+   * @param {number} capacity - Largest number of instances of the copy
+   * @return {InstancedMesh} The copy
+   */
+  _resizeBatch(batch, capacity) {
+    this.remove(batch);
+    batch.dispose();
+
+    const resized = this._createBatch(batch.geometry, batch.material, capacity);
+    resized.name = batch.name;
+    resized.castShadow = batch.castShadow;
+    resized.receiveShadow = batch.receiveShadow;
+
+    return resized;
+  }
+}
+
+/**
+ * Counts the bytes taken up by the attributes and index of a geometry.
+ * @param {BufferGeometry} geometry - The geometry
+ * @return {number} Number of bytes
+ */
+function getGeometryBytes(geometry) {
+  let bytes = geometry.index ? geometry.index.array.byteLength : 0;
+  for (const attribute of Object.values(geometry.attributes)) {
+    bytes += attribute.array.byteLength;
+  }
+
+  return bytes;
+}
+
+// ====================================================================
+// LOD CODE
+
+/**
+ * @typedef {Object} ClownLODLevel
+ * @property {string|Segments} quality - Quality of the clown drawn at this level, see
+ * {@link clownQualities}
+ * @property {number} distance - Distance from the camera from which on this level is drawn
+ */
+
+/**
+ * Levels used by {@link ClownLOD} unless others are given. A clown is about 40 units tall,
+ * so it switches to the medium quality once it is a few times its height away.
+ * @type {ClownLODLevel[]}
+ */
+const clownLODLevels = [
+  {quality: "high", distance: 0},
+  {quality: "medium", distance: 150},
+  {quality: "low", distance: 400},
+];
+
+/**
+ * A clown that switches to cheaper meshes as it moves away from the camera. It holds one
+ * {@link Clown} for every level, each drawn in the quality of its level, and Three.js
+ * shows the one that fits the distance to the camera every time it renders. The options of
+ * every level are kept the same, so it can be redrawn and animated like a single clown,
+ * including by a {@link ClownMixer}, {@link ClownWalker}, or {@link ClownFace}. Afterwards,
+ * it dispatches a "change" event.
+ * @example
+ * // Add a clown that gets cheaper to draw in the distance
+ * const clownLOD = new ClownLOD({legs: {length: 14}});
+ * scene.add(clownLOD);
+ *
+ * // Redraw every level at once
+ * clownLOD.redraw({arms: {leftArm: {rotZ: 1}}});
+ *
+ * // Returns the triangles of every level, such as
+ * // [{distance: 0, quality: "high", triangles: 19680}, ...]
+ * clownLOD.getTriangleCounts();
+ * @property {Clown[]} clowns - The clown of every level, closest first
+ * @extends THREE.LOD
+ */
+class ClownLOD extends THREE.LOD {
+  /**
+   * Constructor for the clown with levels of detail.
+   * @param {ClownParams} [options={}] - Options that define how the clown should look, where
+   * the quality is given by each level instead
+   * @param {Object} [settings={}] - Settings for the clown
+   * @param {ClownLODLevel[]} [settings.levels=clownLODLevels] - Quality and distance of every
+   * level
+   * @param {string} [settings.validation="strict"] - How invalid options are handled, see
+   * {@link validateClownParams}
+   */
+  constructor(options = {}, {levels = clownLODLevels, validation = "strict"} = {}) {
+    super();
+
+    this.clowns = [];
+    for (const {quality, distance} of levels) {
+      const clown = new Clown({...options, quality}, {validation});
+      this.clowns.push(clown);
+      this.addLevel(clown, distance);
+    }
+  }
+
+  /**
+   * Current options of the clown, which are the same for every level but the quality.
+   * @type {ClownParams}
+   */
+  get _options() {
+    return this.clowns[0]._options;
+  }
+
+  /**
+   * Redraws the clown of every level, keeping the quality of each level.
+   * @param {ClownParams} [options={}] - Options that define how the clown should look
+   * @throws {ClownParamsError} If an option is invalid and the validation mode is "strict"
+   */
+  redraw(options = {}) {
+    for (const clown of this.clowns) {
+      clown.redraw({...options, quality: clown._options.quality});
+    }
+
+    this.dispatchEvent({type: "change"});
+  }
+
+  /**
+   * Counts the triangles of the clown of every level.
+   * @return {Array<{distance: number, quality: (string|Segments), triangles: number}>}
+   * Triangles of every level, closest first
+   */
+  getTriangleCounts() {
+    return this.levels.map(({object, distance}) => ({
+      distance,
+      quality: object._options.quality,
+      triangles: object.getTriangleCount(),
+    }));
+  }
+
+  /**
+   * Frees the geometries and materials of the clown of every level.
+   */
+  dispose() {
+    this.clowns.forEach((clown) => clown.dispose());
+  }
+}
+
+// ====================================================================
+// CLOWN MANAGER CODE
+
+/**
+ * Keeps track of every clown in a scene and which one of them is selected. Clowns can be
+ * added, removed, and duplicated, and selected by clicking them once connect() was called.
+ * The selected clown is highlighted with a box around it. The manager dispatches an "add",
+ * "remove", or "select" event with the clown in question whenever one of those happens.
+ * @example
+ * // Manage the clowns of the scene and select them by clicking the canvas
+ * const clownManager = new ClownManager(scene);
+ * clownManager.select(clownManager.add(new Clown()));
+ * clownManager.duplicate();
+ * clownManager.connect(renderer.domElement, camera);
+ * clownManager.addEventListener("select", ({clown}) => console.log("Selected", clown));
+ * @property {Scene} scene - The scene the clowns are added to
+ * @property {Clown[]} clowns - Every clown of the manager
+ * @property {?Clown} selected - The selected clown, or null if none is selected
+ * @extends THREE.EventDispatcher
+ */
+class ClownManager extends THREE.EventDispatcher {
+  /**
+   * Constructor for the manager.
+   * @param {Scene} scene - The scene to add the clowns to
+   */
+  constructor(scene) {
+    super();
+
+    this.scene = scene;
+    this.clowns = [];
+    this.selected = null;
+
+    // Box drawn around the selected clown, kept up to date right before every render
+    this._highlight = new THREE.BoxHelper(undefined, 0xffd400);
+    this._highlight.name = "clownSelection";
+    this._highlight.frustumCulled = false;
+    this._highlight.onBeforeRender = () => this._highlight.update();
+
+    // Used to turn clicks into rays
+    this._raycaster = new THREE.Raycaster();
+  }
+
+  /**
+   * Adds a clown to the manager and the scene.
+   * @param {Clown} [clown=new Clown()] - The clown to add
+   * @return {Clown} The added clown
+   */
+  add(clown = new Clown()) {
+    this.clowns.push(clown);
+    this.scene.add(clown);
+    this.dispatchEvent({type: "add", clown});
+
+    return clown;
+  }
+
+  /**
+   * Removes a clown from the manager and the scene and disposes of it. The clown is
+   * deselected first if it was selected.
+   * @param {Clown} [clown=this.selected] - The clown to remove
+   */
+  remove(clown = this.selected) {
+    const index = this.clowns.indexOf(clown);
+    if (index < 0) {
+      return;
+    }
+
+    if (this.selected === clown) {
+      this.select(null);
+    }
+
+    this.clowns.splice(index, 1);
+    this.scene.remove(clown);
+    clown.dispose();
+    this.dispatchEvent({type: "remove", clown});
+  }
+
+  /**
+   * Adds a copy of a clown, with the same options and transform, next to it.
+   * @param {Clown} [clown=this.selected] - The clown to copy
+   * @param {Vector3} [offset=new THREE.Vector3(20, 0, 0)] - How far from the original the
+   * copy is placed
+   * @return {?Clown} The copy, or null if there was no clown to copy
+   */
+  duplicate(clown = this.selected, offset = new THREE.Vector3(20, 0, 0)) {
+    if (!clown) {
+      return null;
+    }
+
+    const copy = Clown.fromJSON(clown.toJSON(), {validation: clown._validation});
+    copy.position.add(offset);
+
+    return this.add(copy);
+  }
+
+  /**
+   * Selects a clown and highlights it.
+   * @param {?Clown} clown - The clown to select, or null to select none
+   */
+  select(clown) {
+    if (clown === this.selected) {
+      return;
+    }
+
+    this.selected = clown;
+
+    // Move the highlight to the selected clown, or hide it
+    if (clown) {
+      this._highlight.setFromObject(clown);
+      this.scene.add(this._highlight);
+    } else {
+      this.scene.remove(this._highlight);
+    }
+
+    this.dispatchEvent({type: "select", clown});
+  }
+
+  /**
+   * Finds the clown under a point of the viewport by casting a ray against its meshes.
+   * @param {number} x - Horizontal position from -1 (left) to 1 (right)
+   * @param {number} y - Vertical position from -1 (bottom) to 1 (top)
+   * @param {Camera} camera - Camera the scene is viewed with
+   * @return {?Clown} The closest clown under the point, or null if there is none
+   */
+  pick(x, y, camera) {
+    this._raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+    const [hit] = this._raycaster.intersectObjects(this.clowns, true);
+
+    if (!hit) {
+      return null;
+    }
+
+    // Walk up from the mesh that was hit to the clown that it belongs to
+    let object = hit.object;
+    while (!this.clowns.includes(object)) {
+      object = object.parent;
+    }
+
+    return object;
+  }
+
+  /**
+   * Selects clowns by clicking them in the viewport, while clicking next to every clown
+   * selects none. Dragging, such as when moving the camera, does not change the selection.
+   * @param {HTMLElement} domElement - Element the scene is rendered into
+   * @param {Camera|function(): Camera} camera - Camera the scene is viewed with, or a
+   * function that returns it for cameras that are created or replaced later on
+   * @return {function()} Function that stops selecting clowns by clicking
+   */
+  connect(domElement, camera) {
+    // Where the pointer went down, so that drags can be told apart from clicks
+    let down = null;
+
+    const onPointerDown = (event) => {
+      down = {x: event.clientX, y: event.clientY};
+    };
+
+    const onPointerUp = (event) => {
+      if (!down || Math.hypot(event.clientX - down.x, event.clientY - down.y) > 4) {
+        return;
+      }
+
+      // Turn the click into a point of the viewport from -1 to 1
+      const rect = domElement.getBoundingClientRect();
+      const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+      this.select(this.pick(x, y, typeof camera === "function" ? camera() : camera));
+    };
+
+    domElement.addEventListener("pointerdown", onPointerDown);
+    domElement.addEventListener("pointerup", onPointerUp);
+
+    return () => {
+      domElement.removeEventListener("pointerdown", onPointerDown);
+      domElement.removeEventListener("pointerup", onPointerUp);
+    };
+  }
+}
+
+// ====================================================================
+// POSE GIZMO CODE
+
+/**
+ * Joints that can be turned with a {@link ClownPoseGizmo}. Each joint names the part that
+ * pivots, the group of options that holds its angles, the angles it has, and the radius of
+ * its rings. Bends, like the elbows and knees, only turn around a single axis and give the
+ * direction of their angle relative to the x-axis.
+ * @type {Object<string, {part: string, options: string, angles: Object<string, number>, radius: number}>}
+ */
+const clownJoints = {
+  head: {part: "head", options: "head", angles: {rotX: 1, rotY: 1, rotZ: 1}, radius: 3.5},
+  leftShoulder: {part: "leftArm", options: "arms.leftArm", angles: {rotX: 1, rotY: 1, rotZ: 1}, radius: 3},
+  rightShoulder: {part: "rightArm", options: "arms.rightArm", angles: {rotX: 1, rotY: 1, rotZ: 1}, radius: 3},
+  leftElbow: {part: "leftElbow", options: "arms.leftArm", angles: {elbow: -1}, radius: 1.8},
+  rightElbow: {part: "rightElbow", options: "arms.rightArm", angles: {elbow: -1}, radius: 1.8},
+  leftHip: {part: "leftLeg", options: "legs.leftLeg", angles: {rotX: 1, rotY: 1, rotZ: 1}, radius: 2.5},
+  rightHip: {part: "rightLeg", options: "legs.rightLeg", angles: {rotX: 1, rotY: 1, rotZ: 1}, radius: 2.5},
+  leftKnee: {part: "leftKnee", options: "legs.leftLeg", angles: {knee: 1}, radius: 1.8},
+  rightKnee: {part: "rightKnee", options: "legs.rightLeg", angles: {knee: 1}, radius: 1.8},
+};
+
+/**
+ * Rotation rings for posing a clown by dragging. Every joint of {@link clownJoints} gets a
+ * red, green, and blue ring for turning it around its x, y, and z-axis, or a single ring if
+ * it only bends. Dragging a ring changes the matching angle in the clown's options through
+ * redraw(), kept within the limits of {@link clownParamsSchema}. The rings are drawn on top
+ * of the clown and follow it as it moves. The gizmo dispatches a "dragstart" and "dragend"
+ * event around every drag and a "change" event whenever it turned a joint.
+ * @example
+ * // Pose the clown by dragging the rings of its joints
+ * const gizmo = new ClownPoseGizmo(clown);
+ * scene.add(gizmo);
+ * gizmo.connect(renderer.domElement, camera);
+ * @property {?Clown} clown - The clown being posed
+ * @extends THREE.Object3D
+ */
+class ClownPoseGizmo extends THREE.Object3D {
+  /**
+   * Constructor for the gizmo. Add it to the scene rather than to the clown.
+   * @param {?Clown} clown - The clown to pose
+   */
+  constructor(clown) {
+    super();
+    this.name = "clownPoseGizmo";
+    this.clown = clown;
+
+    // Create a ring for every angle of every joint
+    this._rings = [];
+    const axisColors = {rotX: 0xff4040, rotY: 0x40e040, rotZ: 0x4080ff, elbow: 0xff4040, knee: 0xff4040};
+
+    for (const [joint, {angles, radius}] of Object.entries(clownJoints)) {
+      const ringGeom = new THREE.TorusGeometry(radius, 0.2, 8, 48);
+
+      for (const angle of Object.keys(angles)) {
+        // Draw the rings on top of the clown so they can always be grabbed
+        const ringMat = new THREE.MeshBasicMaterial({color: axisColors[angle], depthTest: false, transparent: true, opacity: 0.85});
+        const ring = new THREE.Mesh(ringGeom, ringMat);
+        ring.name = `${joint}.${angle}`;
+        ring.renderOrder = 1000;
+        ring.userData = {joint, angle, color: axisColors[angle]};
+
+        this._rings.push(ring);
+        this.add(ring);
+      }
+    }
+
+    // Used to turn pointer positions into rays
+    this._raycaster = new THREE.Raycaster();
+
+    // The drag in progress, if any
+    this._drag = null;
+  }
+
+  /**
+   * Keeps the rings on the joints of the clown every time the scene's matrices are updated,
+   * which happens right before every render.
+   * @param {boolean} [force] - Whether to update the matrices even if they did not change
+   */
+  updateMatrixWorld(force) {
+    this._placeRings();
+    super.updateMatrixWorld(force);
+  }
+
+  /**
+   * Turns the clown's joints by dragging their rings in the viewport. Pointer events that
+   * start on a ring are not passed on, so camera controls on the same element stay still.
+   * @param {HTMLElement} domElement - Element the scene is rendered into
+   * @param {Camera|function(): Camera} camera - Camera the scene is viewed with, or a
+   * function that returns it for cameras that are created or replaced later on
+   * @return {function()} Function that stops the dragging
+   */
+  connect(domElement, camera) {
+    // Turns a pointer event into a ray from the camera
+    const setRay = (event) => {
+      const rect = domElement.getBoundingClientRect();
+      const point = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      this._raycaster.setFromCamera(point, typeof camera === "function" ? camera() : camera);
+    };
+
+    const onPointerDown = (event) => {
+      if (!this.visible || !this.clown) {
+        return;
+      }
+
+      setRay(event);
+      if (!this._startDrag()) {
+        return;
+      }
+
+      // Keep the pointer to ourselves until the drag ends
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      domElement.setPointerCapture(event.pointerId);
+    };
+
+    const onPointerMove = (event) => {
+      if (this._drag) {
+        setRay(event);
+        this._moveDrag();
+      }
+    };
+
+    const onPointerUp = (event) => {
+      if (this._drag) {
+        event.stopImmediatePropagation();
+        this._endDrag();
+      }
+    };
+
+    // Listen during the capture phase to see the pointer before any camera controls do
+    domElement.addEventListener("pointerdown", onPointerDown, true);
+    domElement.addEventListener("pointermove", onPointerMove, true);
+    domElement.addEventListener("pointerup", onPointerUp, true);
+
+    return () => {
+      domElement.removeEventListener("pointerdown", onPointerDown, true);
+      domElement.removeEventListener("pointermove", onPointerMove, true);
+      domElement.removeEventListener("pointerup", onPointerUp, true);
+    };
+  }
+
+  /** Frees the geometries and materials of the rings. */
+  dispose() {
+    for (const ring of this._rings) {
+      ring.geometry.dispose();
+      ring.material.dispose();
+    }
+  }
+
+  /**
+   * Finds the axis that an angle of a joint turns around, in world space. Angles are applied
+   * in the order x, y, then z, so each axis is turned by the angles applied before it.
+   * @param {string} joint - Name of the joint within {@link clownJoints}
+   * @param {string} angle - Name of the angle such as "rotY"
+   * @return {Vector3} The axis in world space
+   */
+  _getAxis(joint, angle) {
+    const {part, options} = clownJoints[joint];
+    const pivot = this.clown.getPart(part);
+    const values = options.split(".").reduce((group, key) => group[key], this.clown._options);
+
+    const axis = new THREE.Vector3(1, 0, 0);
+    if (angle === "rotY") {
+      axis.set(0, 1, 0).applyEuler(new THREE.Euler(values.rotX, 0, 0));
+    } else if (angle === "rotZ") {
+      axis.set(0, 0, 1).applyEuler(new THREE.Euler(values.rotX, values.rotY, 0));
+    }
+
+    return axis.transformDirection(pivot.parent.matrixWorld);
+  }
+
+  /** Places every ring on its joint, facing along the axis it turns around. */
+  _placeRings() {
+    if (!this.clown || !this.clown.getPartNames().length) {
+      return;
+    }
+
+    this.clown.updateWorldMatrix(true, true);
+    const scale = new THREE.Vector3().setFromMatrixScale(this.clown.matrixWorld);
+    const z = new THREE.Vector3(0, 0, 1);
+
+    for (const ring of this._rings) {
+      const {joint, angle} = ring.userData;
+      const pivot = this.clown.getPart(clownJoints[joint].part);
+
+      pivot.getWorldPosition(ring.position);
+      ring.quaternion.setFromUnitVectors(z, this._getAxis(joint, angle));
+      ring.scale.setScalar(Math.max(scale.x, scale.y, scale.z));
+    }
+  }
+
+  /**
+   * Finds the point where the current ray crosses the plane of a ring.
+   * @param {Vector3} center - Center of the ring
+   * @param {Vector3} axis - Axis of the ring
+   * @return {?Vector3} The point, or null if the ray runs along the plane
+   */
+  _intersectRingPlane(center, axis) {
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(axis, center);
+    return this._raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+  }
+
+  /**
+   * Starts dragging the ring under the current ray, if there is one.
+   * @return {boolean} True if a ring was grabbed
+   */
+  _startDrag() {
+    this.updateMatrixWorld(true);
+    const [hit] = this._raycaster.intersectObjects(this._rings);
+    if (!hit) {
+      return false;
+    }
+
+    const ring = hit.object;
+    const {joint, angle} = ring.userData;
+    const center = ring.position.clone();
+    const axis = this._getAxis(joint, angle);
+    const point = this._intersectRingPlane(center, axis) || hit.point;
+
+    // Remember where the drag started and highlight the grabbed ring
+    this._drag = {ring, joint, angle, center, axis, from: point.sub(center)};
+    ring.material.color.set(0xffd400);
+    this.dispatchEvent({type: "dragstart", joint, angle});
+
+    return true;
+  }
+
+  /** Turns the dragged joint by the angle the pointer moved around the ring. */
+  _moveDrag() {
+    const {joint, angle, center, axis, from} = this._drag;
+    const point = this._intersectRingPlane(center, axis);
+    if (!point) {
+      return;
+    }
+
+    // Signed angle the pointer moved around the axis since the last move
+    const to = point.sub(center);
+    const delta = Math.atan2(axis.dot(from.clone().cross(to)), from.dot(to));
+    this._drag.from = to;
+
+    // Turn the joint by the same amount, within its limits
+    const {options, angles} = clownJoints[joint];
+    const path = `${options}.${angle}`;
+    const current = path.split(".").reduce((group, key) => group[key], this.clown._options);
+    const value = clampParam(current + delta * angles[angle], getParamSchema(path));
+
+    const change = {};
+    const keys = path.split(".");
+    keys.slice(0, -1).reduce((group, key) => (group[key] = {}), change)[angle] = value;
+    this.clown.redraw(change);
+    this.dispatchEvent({type: "change", joint, angle});
+  }
+
+  /** Ends the drag in progress. */
+  _endDrag() {
+    const {ring, joint, angle} = this._drag;
+    ring.material.color.set(ring.userData.color);
+    this._drag = null;
+    this.dispatchEvent({type: "dragend", joint, angle});
+  }
+}
+
+// ====================================================================
+// HISTORY CODE
+
+/**
+ * @typedef {Object} ClownHistoryEntry
+ * @property {Clown} clown - The clown that was edited
+ * @property {string} label - Paths of the values that changed, such as "arms.leftArm.rotZ"
+ * or "position.x, position.z"
+ * @property {number} time - When the edit was last changed, in milliseconds
+ * @property {ClownJSON} before - The clown before the edit
+ * @property {ClownJSON} after - The clown after the edit
+ */
+
+/**
+ * Undo and redo history for edits to clowns. Every redraw() of a tracked clown becomes an
+ * entry of the history, and so does every change to its position, rotation, or scale once
+ * record() is called. Edits to the same values in quick succession, such as dragging a
+ * slider or a ring of a {@link ClownPoseGizmo}, are merged into a single entry. The history
+ * dispatches a "change" event whenever its entries or its place among them change.
+ * @example
+ * // Undo and redo edits to the clown with Ctrl+Z and Ctrl+Shift+Z
+ * const history = new ClownHistory();
+ * history.track(clown);
+ * history.connect(window);
+ *
+ * clown.redraw({legs: {length: 14}});
+ * history.undo(); // The legs are back to a length of 10
+ * @property {ClownHistoryEntry[]} entries - Every entry of the history, oldest first
+ * @property {number} index - Number of entries that are currently applied, the ones after
+ * it can be redone
+ * @property {number} mergeTime - Longest time in milliseconds between two edits of the same
+ * values for them to be merged
+ * @property {number} limit - Largest number of entries to keep
+ * @property {boolean} enabled - Whether edits are being recorded, turn off while animating
+ * @extends THREE.EventDispatcher
+ */
+class ClownHistory extends THREE.EventDispatcher {
+  /**
+   * Constructor for the history.
+   * @param {Object} [settings={}] - Settings for the history
+   * @param {number} [settings.mergeTime=1000] - Longest time in milliseconds between two
+   * edits of the same values for them to be merged
+   * @param {number} [settings.limit=200] - Largest number of entries to keep
+   */
+  constructor({mergeTime = 1000, limit = 200} = {}) {
+    super();
+
+    this.entries = [];
+    this.index = 0;
+    this.mergeTime = mergeTime;
+    this.limit = limit;
+    this.enabled = true;
+
+    // Last known state of every tracked clown along with the listener for its changes
+    this._states = new Map();
+    this._listeners = new Map();
+
+    // Whether the next edit may be merged into the last entry
+    this._canMerge = false;
+  }
+
+  /**
+   * Starts recording the edits of a clown.
+   * @param {Clown} clown - The clown to track
+   */
+  track(clown) {
+    if (this._listeners.has(clown)) {
+      return;
+    }
+
+    const listener = () => this.record(clown);
+    clown.addEventListener("change", listener);
+    this._listeners.set(clown, listener);
+    this._states.set(clown, clown.toJSON());
+  }
+
+  /**
+   * Stops recording the edits of a clown and forgets every entry about it.
+   * @param {Clown} clown - The clown to stop tracking
+   */
+  untrack(clown) {
+    if (!this._listeners.has(clown)) {
+      return;
+    }
+
+    clown.removeEventListener("change", this._listeners.get(clown));
+    this._listeners.delete(clown);
+    this._states.delete(clown);
+
+    // Forget the clown's entries while keeping the place among the others
+    const applied = this.entries.slice(0, this.index).filter((entry) => entry.clown !== clown);
+    this.entries = this.entries.filter((entry) => entry.clown !== clown);
+    this.index = applied.length;
+    this._canMerge = false;
+
+    this.dispatchEvent({type: "change"});
+  }
+
+  /**
+   * Records whatever changed about a clown since it was last recorded as an entry. Changes
+   * to options are recorded on their own, but changes to the transform of a clown are only
+   * noticed when this is called.
+   * @param {Clown} [clown] - The clown to record, or every tracked clown if not given
+   */
+  record(clown) {
+    if (!clown) {
+      this._states.forEach((state, trackedClown) => this.record(trackedClown));
+      return;
+    }
+
+    const before = this._states.get(clown);
+    if (!before || !this.enabled) {
+      return;
+    }
+
+    // Find the values that changed, if any
+    const after = clown.toJSON();
+    const changed = this._diff(before, after);
+    if (!changed.length) {
+      return;
+    }
+
+    this._states.set(clown, after);
+    const label = changed.join(", ");
+    const time = Date.now();
+
+    // Merge quick successive edits of the same values into the last entry
+    const last = this.entries[this.index - 1];
+    if (this._canMerge && last && last.clown === clown && last.label === label && time - last.time <= this.mergeTime) {
+      last.after = after;
+      last.time = time;
+    } else {
+      // A new edit throws away the entries that were undone
+      this.entries.splice(this.index);
+      this.entries.push({clown, label, time, before, after});
+
+      // Drop the oldest entries once there are too many
+      if (this.entries.length > this.limit) {
+        this.entries.splice(0, this.entries.length - this.limit);
+      }
+      this.index = this.entries.length;
+    }
+
+    this._canMerge = true;
+    this.dispatchEvent({type: "change"});
+  }
+
+  /**
+   * Undoes the last applied entry.
+   * @return {?ClownHistoryEntry} The entry that was undone, or null if there was none
+   */
+  undo() {
+    if (this.index === 0) {
+      return null;
+    }
+
+    const entry = this.entries[--this.index];
+    this._apply(entry.clown, entry.before);
+
+    return entry;
+  }
+
+  /**
+   * Redoes the first entry that was undone.
+   * @return {?ClownHistoryEntry} The entry that was redone, or null if there was none
+   */
+  redo() {
+    if (this.index === this.entries.length) {
+      return null;
+    }
+
+    const entry = this.entries[this.index++];
+    this._apply(entry.clown, entry.after);
+
+    return entry;
+  }
+
+  /** Forgets every entry. */
+  clear() {
+    this.entries = [];
+    this.index = 0;
+    this._canMerge = false;
+    this.dispatchEvent({type: "change"});
+  }
+
+  /**
+   * Undoes with Ctrl+Z and redoes with Ctrl+Shift+Z or Ctrl+Y, or with Cmd instead of Ctrl.
+   * Keys typed into text fields are left alone.
+   * @param {EventTarget} [target=window] - Element to listen to the keyboard on
+   * @return {function()} Function that stops listening to the keyboard
+   */
+  connect(target = window) {
+    const onKeyDown = (event) => {
+      const key = event.key.toLowerCase();
+      if (!(event.ctrlKey || event.metaKey) || (key !== "z" && key !== "y")) {
+        return;
+      }
+
+      // Let text fields undo their own typing
+      const tag = event.target && event.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA") {
+        return;
+      }
+
+      event.preventDefault();
+      if (key === "y" || event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    };
+
+    target.addEventListener("keydown", onKeyDown);
+
+    return () => target.removeEventListener("keydown", onKeyDown);
+  }
+
+  /**
+   * Puts a clown back into a saved state without recording it as an edit.
+   * @param {Clown} clown - The clown to change
+   * @param {ClownJSON} state - The state to put the clown in
+   */
+  _apply(clown, state) {
+    // Remember the state first so that the redraw does not count as an edit
+    this._states.set(clown, state);
+    this._canMerge = false;
+
+    // Move the clown before redrawing it so that anything listening sees the whole state
+    clown.position.fromArray(state.transform.position);
+    clown.rotation.fromArray(state.transform.rotation);
+    clown.scale.fromArray(state.transform.scale);
+    clown.redraw(state.options);
+
+    this.dispatchEvent({type: "change"});
+  }
+
+  /**
+   * Lists the paths of every value that differs between two states of a clown.
+   * @param {ClownJSON} before - The earlier state
+   * @param {ClownJSON} after - The later state
+   * @return {string[]} Paths such as "arms.leftArm.rotZ" or "position.x"
+   */
+  _diff(before, after) {
+    // Flattens a state into a value for every path, where attachments are values even
+    // though they are objects
+    const flatten = ({options, transform}) => {
+      const values = {};
+      const addValues = (object, path) => {
+        for (const [key, value] of Object.entries(object)) {
+          const valuePath = path ? `${path}.${key}` : key;
+
+          if (value !== null && typeof value === "object" && !getParamSchema(valuePath)) {
+            addValues(value, valuePath);
+          } else {
+            values[valuePath] = JSON.stringify(value);
+          }
+        }
+      };
+
+      addValues(options, "");
+      for (const name of clownTransformPaths) {
+        const [x, y, z] = transform[name];
+        addValues({x, y, z}, name);
+      }
+
+      return values;
+    };
+
+    const beforeValues = flatten(before);
+    const afterValues = flatten(after);
+    const paths = new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)]);
+
+    return [...paths].filter((path) => beforeValues[path] !== afterValues[path]);
+  }
+}
+
+// ====================================================================
+// PRESET CODE
+
+/**
+ * Presets that come with every {@link ClownPresetLibrary}. Each preset is a partial set of
+ * {@link ClownParams}, so applying one only changes the options it names.
+ * @example
+ * // Give the clown a big head while keeping everything else
+ * clown.redraw(clownPresets["Big Head"]);
+ * @type {Object<string, ClownParams>}
+ */
+const clownPresets = {
+  "Tall": {
+    arms: {length: 13},
+    legs: {length: 15},
+    body: {stretchY: 1.5},
+  },
+  "Big Head": {
+    head: {scaleX: 1.5, scaleY: 1.5, scaleZ: 1.4},
+  },
+  "Shrug": {
+    arms: {
+      leftArm: {rotX: -0.5, rotY: 0, rotZ: Math.PI/3, elbow: Math.PI/2},
+      rightArm: {rotX: -0.5, rotY: 0, rotZ: -Math.PI/3, elbow: Math.PI/2},
+    },
+    head: {rotZ: Math.PI/12, expression: "sad", expressionBlend: 1},
+  },
+  "Tiny": {
+    arms: {length: 6},
+    legs: {length: 5},
+    body: {radius: 5, stretchY: 1},
+    head: {scaleX: 0.8, scaleY: 0.8, scaleZ: 0.8},
+  },
+};
+
+/**
+ * @typedef {Object} ClownPresetStorage
+ * @property {function(): Object<string, ClownParams>} load - Reads the saved presets by
+ * their names, or an empty object if nothing was saved yet
+ * @property {function(Object<string, ClownParams>)} save - Writes every preset by its name
+ */
+
+/**
+ * @typedef {Object} ClownPresetsJSON
+ * @property {string} type - Always "ClownPresets"
+ * @property {number} version - Version of the {@link ClownJSON} format the options were
+ * saved with
+ * @property {Object<string, ClownParams>} presets - Options of every preset by its name
+ */
+
+/**
+ * Creates a storage that keeps presets in the browser's localStorage.
+ * @param {string} [key="clownPresets"] - Key of the localStorage item to use
+ * @return {ClownPresetStorage} The storage
+ */
+function createLocalPresetStorage(key = "clownPresets") {
+  return {
+    load: () => JSON.parse(localStorage.getItem(key) || "{}"),
+    save: (presets) => localStorage.setItem(key, JSON.stringify(presets)),
+  };
+}
+
+/**
+ * Creates a storage that keeps presets in a JSON file, for use in Node.
+ * @example
+ * // Keep the presets next to the assets they are used for
+ * import fs from "fs";
+ * const storage = createFilePresetStorage("assets/presets.json", fs);
+ * const presets = new ClownPresetLibrary({storage});
+ * @param {string} path - Path of the file to use
+ * @param {Object} fs - Node's fs module, passed in since the clown does not import Node's
+ * modules itself so that it also loads in the browser
+ * @return {ClownPresetStorage} The storage
+ * @throws {Error} If the fs module is missing
+ */
+function createFilePresetStorage(path, fs) {
+  if (!fs) {
+    throw new Error("createFilePresetStorage() needs Node's fs module, such as " +
+      "createFilePresetStorage(path, fs) after import fs from \"fs\"");
+  }
+
+  return {
+    load: () => fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, "utf8")) : {},
+    save: (presets) => fs.writeFileSync(path, JSON.stringify(presets, null, 2)),
+  };
+}
+
+/**
+ * Library of named presets for the options of a clown. It holds the built-in
+ * {@link clownPresets} along with presets saved by the user, which are kept in a
+ * {@link ClownPresetStorage}: localStorage in the browser unless another storage is given,
+ * such as a JSON file from {@link createFilePresetStorage} in Node. Built-in presets
+ * cannot be overwritten, renamed, or removed. Presets are applied with redraw(), so a
+ * partial preset only changes the options it names. The library dispatches a "change"
+ * event whenever a user preset is saved, renamed, removed, or imported.
+ * @example
+ * // Save the look of one clown and give it to another
+ * const presets = new ClownPresetLibrary();
+ * presets.save("Mine", clown);
+ * presets.apply(otherClown, "Mine");
+ *
+ * // Make a clown tall
+ * presets.apply(otherClown, "Tall");
+ * @extends THREE.EventDispatcher
+ */
+class ClownPresetLibrary extends THREE.EventDispatcher {
+  /**
+   * Constructor for the library. Saved presets that are no longer valid are skipped with a
+   * warning.
+   * @param {Object} [settings={}] - Settings for the library
+   * @param {ClownPresetStorage} [settings.storage] - Where user presets are kept, by default
+   * localStorage in the browser
+   * @throws {Error} If no storage is given where there is no localStorage, such as in Node
+   */
+  constructor({storage} = {}) {
+    super();
+
+    // Only the browser has a place to keep presets without being told where
+    if (!storage) {
+      if (typeof localStorage === "undefined") {
+        throw new Error("ClownPresetLibrary needs a storage where there is no localStorage, " +
+          "such as createFilePresetStorage(path, fs) in Node");
+      }
+      storage = createLocalPresetStorage();
+    }
+    this._storage = storage;
+
+    // Load the user presets, dropping whatever no longer fits the schema
+    this._presets = {};
+    for (const [name, options] of Object.entries(storage.load())) {
+      if (clownPresets.hasOwnProperty(name)) {
+        continue;
+      }
+
+      this._presets[name] = validateClownParams(options, "warn");
+    }
+  }
+
+  /**
+   * Gets the names of every preset, built-in presets first.
+   * @return {string[]} The names of the presets
+   */
+  getNames() {
+    return [...Object.keys(clownPresets), ...Object.keys(this._presets)];
+  }
+
+  /**
+   * Checks whether a preset comes with the library rather than being saved by the user.
+   * @param {string} name - Name of the preset
+   * @return {boolean} True if the preset is one of the {@link clownPresets}
+   */
+  isBuiltIn(name) {
+    return clownPresets.hasOwnProperty(name);
+  }
+
+  /**
+   * Gets the options of a preset.
+   * @param {string} name - Name of the preset
+   * @return {ClownParams} A copy of the options of the preset
+   * @throws {Error} If there is no preset with the name
+   */
+  get(name) {
+    if (!this.isBuiltIn(name) && !this._presets.hasOwnProperty(name)) {
+      throw new Error(`Unknown preset "${name}"`);
+    }
+
+    const options = this.isBuiltIn(name) ? clownPresets[name] : this._presets[name];
+    return JSON.parse(JSON.stringify(options));
+  }
+
+  /**
+   * Redraws a clown with the options of a preset.
+   * @param {Clown} clown - The clown to apply the preset to
+   * @param {string} name - Name of the preset
+   * @throws {Error} If there is no preset with the name
+   */
+  apply(clown, name) {
+    clown.redraw(this.get(name));
+  }
+
+  /**
+   * Saves a user preset, replacing any user preset with the same name.
+   * @example
+   * // Save every option of the clown
+   * presets.save("Mine", clown);
+   *
+   * // Save a preset that only changes the colors
+   * presets.save("Pastel", {colors: clownPalettes.pastel});
+   * @param {string} name - Name of the preset
+   * @param {Clown|ClownParams} options - Clown to save every option of, or the options
+   * @throws {Error} If the name is empty or belongs to a built-in preset
+   * @throws {ClownParamsError} If an option is invalid
+   */
+  save(name, options) {
+    this._checkName(name);
+
+    const params = options instanceof Clown ? options.toJSON().options : options;
+    this._presets[name] = validateClownParams(params, "strict");
+    this._commit();
+  }
+
+  /**
+   * Renames a user preset.
+   * @param {string} name - Current name of the preset
+   * @param {string} newName - New name of the preset
+   * @throws {Error} If the preset is built-in or unknown, or the new name is already taken
+   */
+  rename(name, newName) {
+    this._checkUserPreset(name);
+    this._checkName(newName);
+
+    if (name === newName) {
+      return;
+    }
+    if (this._presets.hasOwnProperty(newName)) {
+      throw new Error(`Preset "${newName}" already exists`);
+    }
+
+    // Rebuild the presets so that the renamed one keeps its place in the list
+    const presets = {};
+    for (const [key, options] of Object.entries(this._presets)) {
+      presets[key === name ? newName : key] = options;
+    }
+
+    this._presets = presets;
+    this._commit();
+  }
+
+  /**
+   * Removes a user preset.
+   * @param {string} name - Name of the preset
+   * @throws {Error} If the preset is built-in or unknown
+   */
+  remove(name) {
+    this._checkUserPreset(name);
+
+    delete this._presets[name];
+    this._commit();
+  }
+
+  /**
+   * Saves presets so that they can be imported elsewhere with
+   * {@link ClownPresetLibrary#import}.
+   * @example
+   * // Save every user preset as a string
+   * const saved = JSON.stringify(presets.export());
+   * @param {string[]} [names] - Names of the presets to export, every user preset by default
+   * @return {ClownPresetsJSON} The saved presets
+   * @throws {Error} If there is no preset with one of the names
+   */
+  export(names = Object.keys(this._presets)) {
+    const presets = {};
+    for (const name of names) {
+      presets[name] = this.get(name);
+    }
+
+    return {type: "ClownPresets", version: clownJSONVersion, presets};
+  }
+
+  /**
+   * Adds presets saved with {@link ClownPresetLibrary#export} as user presets, replacing any
+   * user presets with the same names. Presets saved with an older version of the format are
+   * upgraded with the migrations in {@link clownJSONMigrations}, and presets named after a
+   * built-in preset are skipped.
+   * @param {ClownPresetsJSON|string} json - The saved presets, either parsed or as a string
+   * @return {string[]} The names of the presets that were imported
+   * @throws {ClownParamsError} If an option of a preset is invalid
+   */
+  import(json) {
+    // Parse the saved presets if needed
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+
+    if (!data || data.type !== "ClownPresets") {
+      throw new Error("JSON does not describe clown presets");
+    }
+
+    // Check every preset before adding any, so that a bad file changes nothing
+    const imported = {};
+    for (const [name, options] of Object.entries(data.presets)) {
+      if (this.isBuiltIn(name)) {
+        continue;
+      }
+
+      const migrated = migrateClownJSON({type: "Clown", version: data.version, options});
+      imported[name] = validateClownParams(migrated.options, "strict");
+    }
+
+    Object.assign(this._presets, imported);
+    this._commit();
+
+    return Object.keys(imported);
+  }
+
+  /**
+   * Checks that a name can be used for a user preset.
+   * @param {string} name - Name to check
+   * @throws {Error} If the name is empty or belongs to a built-in preset
+   */
+  _checkName(name) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new Error("Preset names cannot be empty");
+    }
+    if (this.isBuiltIn(name)) {
+      throw new Error(`Built-in preset "${name}" cannot be changed`);
+    }
+  }
+
+  /**
+   * Checks that a user preset with the name exists.
+   * @param {string} name - Name to check
+   * @throws {Error} If the preset is built-in or unknown
+   */
+  _checkUserPreset(name) {
+    if (this.isBuiltIn(name)) {
+      throw new Error(`Built-in preset "${name}" cannot be changed`);
+    }
+    if (!this._presets.hasOwnProperty(name)) {
+      throw new Error(`Unknown preset "${name}"`);
+    }
+  }
+
+  /**
+   * Writes the user presets to the storage and lets listeners know about the change.
+   */
+  _commit() {
+    this._storage.save(this._presets);
+    this.dispatchEvent({type: "change"});
+  }
+}
+
+// ====================================================================
+// CLOWN GUI CODE
+
+/**
+ * @typedef {Object} ClownGUI
+ * @property {GUI} gui - The dat.gui panel that the folders were added to
+ * @property {Clown} clown - The clown the panel is currently bound to
+ * @property {function(Clown)} setClown - Binds the panel to a different clown
+ * @property {function()} update - Shows the current options of the clown in the panel
+ * @property {function()} dispose - Removes the folders from the panel and stops listening
+ * to the clown and presets
+ */
+
+/**
+ * Turns the name of an option group such as "leftArm" into a folder title such as
+ * "Left Arm".
+ * @param {string} key - Name of the option group
+ * @return {string} Title for the folder
+ */
+function toFolderTitle(key) {
+  return key.replace(/([A-Z])/g, " $1").replace(/^./, (letter) => letter.toUpperCase());
+}
+
+/**
+ * Fills a dat.gui panel with controllers for every option of a clown, generated from
+ * {@link clownParamsSchema}, along with the clown's position, rotation, and scale. Groups
+ * of options become folders, numbers become sliders with the schema's range, colors become
+ * color pickers, and enums, accessories, and qualities become dropdowns. Qualities and the
+ * palette of the colors show "custom" when they match none of the named ones, and choosing
+ * "custom" keeps what the clown has. The panel is kept in sync with the clown, so options
+ * changed from code, an animation, or a walk show up right away. The panel can later be
+ * bound to a different clown. When given a {@link ClownPresetLibrary}, the panel starts
+ * with a folder to apply, save, rename, delete, import, and export presets.
+ * @example
+ * // Control the clown and render whenever something changes
+ * const clownGUI = createClownGUI(clown, new dat.GUI(), {onChange: () => TW.render()});
+ *
+ * // Control the clown along with a dropdown of presets
+ * createClownGUI(clown, new dat.GUI(), {presets: new ClownPresetLibrary()});
+ *
+ * // Control a different clown with the same panel
+ * clownGUI.setClown(otherClown);
+ * @param {Clown} clown - The clown to control
+ * @param {GUI} gui - Panel to add the folders to, such as a new dat.GUI()
+ * @param {Object} [settings={}] - Settings for the panel
+ * @param {function()} [settings.onChange] - Called after the panel changed the clown
+ * @param {function(Error)} [settings.onError] - Called with the error when a preset
+ * action fails, such as saving under a taken name. Without it, the error is thrown.
+ * @param {ClownPresetLibrary} [settings.presets] - Presets to show in the panel
+ * @return {ClownGUI} Handle used to rebind or remove the panel
+ */
+function createClownGUI(clown, gui, {onChange = () => {}, onError = null, presets = null} = {}) {
+  // Values shown by the option controllers, kept in sync with the clown's options
+  const values = {};
+
+  // Palette whose colors the clown has, if any
+  const paletteValues = {palette: "custom"};
+
+  // Preset chosen in the dropdown and the name to save or rename it with
+  const presetValues = {preset: "", name: ""};
+  let refreshPresets = null;
+
+  // Everything that was added to the panel, so that it can be removed again
+  let folders = [];
+  let controllers = [];
+  let boundClown = null;
+
+  // Converts between the options of the clown and the values shown by the controllers
+  const toValue = (entry, option) => {
+    if (entry.type === "accessory") {
+      return option ? option.name : "none";
+    }
+    if (entry.type === "quality") {
+      return typeof option === "string" ? option : "custom";
+    }
+
+    return option;
+  };
+  const toOption = (entry, value) => {
+    if (entry.type === "accessory") {
+      return value === "none" ? null : {name: value, options: {}};
+    }
+    if (entry.type === "quality" && value === "custom") {
+      return {...boundClown._getSegments()};
+    }
+
+    return value;
+  };
+
+  // Finds the palette that every color of the clown comes from
+  const findPalette = (colors) => {
+    const sameColor = (a, b) => new THREE.Color(a).getHex() === new THREE.Color(b).getHex();
+    const name = Object.keys(clownPalettes).find((paletteName) => (
+      Object.entries(clownPalettes[paletteName])
+        .every(([key, color]) => sameColor(colors[key], color))
+    ));
+
+    return name || "custom";
+  };
+
+  // Copies the clown's options into the values shown by the controllers
+  const copyOptions = (schema, options, object) => {
+    for (const [key, entry] of Object.entries(schema)) {
+      if (isParamSchema(entry)) {
+        object[key] = toValue(entry, options[key]);
+      } else {
+        object[key] = object[key] || {};
+        copyOptions(entry, options[key], object[key]);
+      }
+    }
+  };
+
+  // Redraws the clown with a single changed option given by its path
+  const setOption = (path, value) => {
+    const options = {};
+    const keys = path.split(".");
+    const group = keys.slice(0, -1).reduce((parent, key) => (parent[key] = {}), options);
+    group[keys[keys.length - 1]] = value;
+
+    boundClown.redraw(options);
+    onChange();
+  };
+
+  // Adds a controller for every option of the schema, with a folder for every group
+  const addOptions = (folder, schema, object, path) => {
+    for (const [key, entry] of Object.entries(schema)) {
+      const optionPath = path ? `${path}.${key}` : key;
+
+      // Groups of options get a folder of their own
+      if (!isParamSchema(entry)) {
+        const groupFolder = folder.addFolder(toFolderTitle(key));
+        if (folder === gui) {
+          folders.push(groupFolder);
+        }
+
+        // The colors can also be set all at once from one of the named palettes
+        if (optionPath === "colors") {
+          const paletteNames = [...Object.keys(clownPalettes), "custom"];
+          const paletteController = groupFolder.add(paletteValues, "palette", paletteNames);
+          paletteController.onChange((name) => {
+            if (name !== "custom") {
+              boundClown.redraw({colors: clownPalettes[name]});
+              onChange();
+            }
+          });
+          controllers.push(paletteController);
+        }
+
+        addOptions(groupFolder, entry, object[key], optionPath);
+        continue;
+      }
+
+      // Create the kind of controller that fits the option
+      let controller;
+      switch (entry.type) {
+        case "number":
+          controller = folder.add(object, key, entry.min, entry.max);
+          break;
+        case "color":
+          controller = folder.addColor(object, key);
+          break;
+        case "enum":
+          controller = folder.add(object, key, entry.values);
+          break;
+        case "accessory":
+          controller = folder.add(object, key, ["none", ...Object.keys(clownAccessories)]);
+          break;
+        case "quality":
+          controller = folder.add(object, key, [...Object.keys(clownQualities), "custom"]);
+          break;
+      }
+
+      controller.onChange((value) => setOption(optionPath, toOption(entry, value)));
+      controllers.push(controller);
+      if (folder === gui) {
+        folders.push(controller);
+      }
+    }
+  };
+
+  // Adds controllers that change the position, rotation, and scale of the clown directly
+  const addTransform = () => {
+    const transformFolder = gui.addFolder("Transform");
+    folders.push(transformFolder);
+
+    // Reach far enough for clowns placed side by side, such as the copies a ClownManager
+    // makes 20 units apart, and always twice as far as the clown is from the origin
+    const {position} = boundClown;
+    const distance = Math.max(Math.abs(position.x), Math.abs(position.y), Math.abs(position.z));
+    const reach = Math.max(100, 2 * Math.ceil(distance));
+
+    const transforms = [
+      ["Position", position, -reach, reach],
+      ["Rotation", boundClown.rotation, -Math.PI, Math.PI],
+      ["Scale", boundClown.scale, 0.5, 2],
+    ];
+
+    for (const [title, object, min, max] of transforms) {
+      const folder = transformFolder.addFolder(title);
+
+      for (const axis of ["x", "y", "z"]) {
+        controllers.push(folder.add(object, axis, min, max).onChange(onChange));
+      }
+    }
+  };
+
+  // Adds a folder to apply, save, rename, delete, import, and export presets
+  const addPresets = () => {
+    const presetFolder = gui.addFolder("Presets");
+    folders.push(presetFolder);
+
+    // Reports problems such as a taken name to the caller, who can show them to whoever
+    // clicked the button
+    const tryAction = (action) => {
+      try {
+        action();
+      } catch (error) {
+        if (!onError) {
+          throw error;
+        }
+        onError(error);
+      }
+    };
+
+    // Applying a preset redraws the clown, so partial presets only change what they name
+    const applyPreset = (name) => {
+      presetValues.name = name;
+      nameController.updateDisplay();
+
+      presets.apply(boundClown, name);
+      onChange();
+    };
+
+    // Used by dat.gui to show a button for every action
+    const presetActions = {
+      save: () => tryAction(() => {
+        presets.save(presetValues.name, boundClown);
+        presetValues.preset = presetValues.name;
+        refreshPresets();
+      }),
+      rename: () => tryAction(() => {
+        presets.rename(presetValues.preset, presetValues.name);
+        presetValues.preset = presetValues.name;
+        refreshPresets();
+      }),
+      delete: () => tryAction(() => presets.remove(presetValues.preset)),
+
+      // Download the user presets as a JSON file
+      export: () => {
+        const json = JSON.stringify(presets.export(), null, 2);
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([json], {type: "application/json"}));
+        link.download = "clown-presets.json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+      },
+
+      // Ask for a JSON file and add the presets in it
+      import: () => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = ".json,application/json";
+        input.addEventListener("change", () => {
+          input.files[0].text().then((json) => tryAction(() => presets.import(json)));
+        });
+        input.click();
+      },
+    };
+
+    let presetController = presetFolder.add(presetValues, "preset", presets.getNames()).onChange(applyPreset);
+    const nameController = presetFolder.add(presetValues, "name");
+    presetFolder.add(presetActions, "save");
+    presetFolder.add(presetActions, "rename");
+    presetFolder.add(presetActions, "delete");
+    presetFolder.add(presetActions, "import");
+    presetFolder.add(presetActions, "export");
+
+    // Lists the current presets in the dropdown, keeping the chosen one if it still exists
+    refreshPresets = () => {
+      const names = presets.getNames();
+      if (!names.includes(presetValues.preset)) {
+        presetValues.preset = "";
+      }
+
+      presetController = presetController.options(names).onChange(applyPreset);
+    };
+
+    presets.addEventListener("change", refreshPresets);
+  };
+
+  // Copies the clown's options and palette into the values shown by the controllers
+  const copyValues = () => {
+    copyOptions(clownParamsSchema, boundClown._options, values);
+    paletteValues.palette = findPalette(boundClown._options.colors);
+  };
+
+  // Shows the current options and transform of the clown
+  const update = () => {
+    copyValues();
+    controllers.forEach((controller) => controller.updateDisplay());
+  };
+
+  // Removes every folder and controller that was added to the panel
+  const clear = () => {
+    if (boundClown) {
+      boundClown.removeEventListener("change", update);
+    }
+    if (refreshPresets) {
+      presets.removeEventListener("change", refreshPresets);
+      refreshPresets = null;
+    }
+
+    for (const item of folders) {
+      // Folders are panels of the same kind as the one they were added to
+      if (item instanceof gui.constructor) {
+        gui.removeFolder(item);
+      } else {
+        gui.remove(item);
+      }
+    }
+
+    folders = [];
+    controllers = [];
+    boundClown = null;
+  };
+
+  // Builds the panel for a clown and listens for its changes
+  const setClown = (newClown) => {
+    clear();
+    boundClown = newClown;
+
+    copyValues();
+    if (presets) {
+      addPresets();
+    }
+    addOptions(gui, clownParamsSchema, values, "");
+    addTransform();
+
+    boundClown.addEventListener("change", update);
+  };
+
+  setClown(clown);
+
+  return {
+    gui,
+    get clown() {
+      return boundClown;
+    },
+    setClown,
+    update,
+    dispose: clear,
+  };
+}
+
+// ====================================================================
+// ORIGIN POINT CODE
+
+/**
+ * Creates a yellow sphere at the origin, which is (0, 0, 0), of the scene.
+ * @param {Scene} scene - The scene to add the origin point to
+ */
+function createOriginPoint(scene) {
+  // Create the geometry, material, and mesh for the origin point
+  const originGeom = new THREE.SphereGeometry(0.5);
+  const originMat = new THREE.MeshBasicMaterial( {color: 0xffff00} );
+  const originMesh = new THREE.Mesh(originGeom, originMat);
+
+  // Add the origin point to the scene
+  scene.add(originMesh); 
+}
+
+// ====================================================================
+// LIGHT RIG CODE
+
+/**
+ * Adds a default light rig and a ground plane that receives shadows to the scene. The
+ * lights only affect clowns drawn with the "standard" or "toon" material.
+ * @example
+ * // Light the scene and draw a clown that casts shadows on the ground
+ * createLightRig(scene, renderer);
+ * scene.add(new Clown({material: "standard"}));
+ * @param {Scene} scene - The scene to add the lights and ground to
+ * @param {WebGLRenderer} [renderer] - Renderer to enable shadows on
+ * @param {Object} [settings={}] - Settings for the light rig
+ * @param {number} [settings.groundSize=100] - Width and depth of the ground plane
+ * @return {{lights: Light[], ground: Mesh}} The lights and ground that were added
+ */
+function createLightRig(scene, renderer, {groundSize = 100} = {}) {
+  // Shadows have to be turned on for the renderer as well
+  if (renderer) {
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+  }
+
+  // Soft light from the sky and ground so that no side of the clown is pitch black
+  const hemisphereLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.6);
+  hemisphereLight.position.set(0, 50, 0);
+
+  // Main light that casts shadows from above and in front of the clown
+  const keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
+  keyLight.position.set(20, 50, 30);
+  keyLight.castShadow = true;
+  {
+    // Make the shadow camera cover the entire ground plane
+    const half = groundSize / 2;
+    const shadowCamera = keyLight.shadow.camera;
+    shadowCamera.left = -half;
+    shadowCamera.right = half;
+    shadowCamera.top = half;
+    shadowCamera.bottom = -half;
+    shadowCamera.near = 1;
+    shadowCamera.far = 150;
+    keyLight.shadow.mapSize.set(2048, 2048);
+  }
+
+  // Dimmer light from behind to outline the clown
+  const rimLight = new THREE.DirectionalLight(0xffffff, 0.3);
+  rimLight.position.set(-20, 30, -30);
+
+  // Create the geometry, material, and mesh for the ground plane
+  const groundGeom = new THREE.PlaneGeometry(groundSize, groundSize);
+  const groundMat = new THREE.MeshStandardMaterial({color: 0xdddddd, roughness: 1});
+  const groundMesh = new THREE.Mesh(groundGeom, groundMat);
+
+  // Lay the ground flat underneath the feet of the clown
+  groundMesh.rotation.set(-Math.PI/2, 0, 0);
+  groundMesh.receiveShadow = true;
+
+  // Add the lights and ground to the scene
+  const lights = [hemisphereLight, keyLight, rimLight];
+  scene.add(...lights, groundMesh);
+
+  return {lights, ground: groundMesh};
+}
+
+// ====================================================================
+// CAMERA CODE
+
+/**
+ * Angles that a camera looks at the clown from.
+ * @typedef {Object} ClownCameraView
+ * @property {number} azimuth - Angle around the clown in radians, where 0 looks at its face
+ * @property {number} elevation - Angle above the clown's waist in radians, where PI/2 looks
+ * straight down
+ */
+
+/**
+ * Views that a {@link ClownCamera} can switch to. The azimuth is measured from the front of
+ * the clown, so "front" always looks at its face however the clown is turned.
+ * @type {Object<string, ClownCameraView>}
+ */
+const clownCameraViews = {
+  front: {azimuth: 0, elevation: 0},
+  side: {azimuth: Math.PI/2, elevation: 0},
+  top: {azimuth: 0, elevation: Math.PI/2},
+  threeQuarter: {azimuth: Math.PI/4, elevation: Math.PI/8},
+};
+
+/**
+ * A perspective camera that orbits around an object, such as a clown, and frames it by its
+ * actual bounds in world space. It can switch between the {@link clownCameraViews} with a
+ * smooth transition, and orbits and zooms with the pointer once connect() was called.
+ * Transitions only move when update() is called. The camera dispatches a "change" event
+ * whenever it moved. Nothing is reframed by itself, so call frame() after redrawing or
+ * moving the target.
+ * @example
+ * // Look at the clown from the side and keep the camera moving every frame
+ * const camera = new ClownCamera(clown, {aspect: width / height});
+ * camera.connect(renderer.domElement);
+ * camera.setView("side");
+ * camera.addEventListener("change", () => renderer.render(scene, camera));
+ * const clock = new THREE.Clock();
+ * renderer.setAnimationLoop(() => camera.update(clock.getDelta()));
+ *
+ * // Reframe the clown after its arms got longer
+ * clown.redraw({arms: {length: 12}});
+ * camera.frame();
+ * @property {?Object3D} target - The object the camera looks at
+ * @property {Vector3} center - Point the camera orbits around
+ * @property {{azimuth: number, elevation: number, distance: number}} orbit - Where the
+ * camera is around the center, with the angles in world space
+ * @property {?string} viewName - Name of the last view switched to, or null once orbited
+ * away
+ * @property {number} margin - How much room to leave around the target, 1 being none
+ * @property {number} duration - Seconds that transitions take by default
+ * @property {string} easing - Name of the easing within {@link clownEasings} of transitions
+ * @property {number} minDistance - Closest that zooming brings the camera to the center
+ * @property {number} maxDistance - Farthest that zooming takes the camera from the center
+ * @extends THREE.PerspectiveCamera
+ */
+class ClownCamera extends THREE.PerspectiveCamera {
+  /**
+   * Constructor for the camera. If there is a target, it is framed right away.
+   * @param {?Object3D} [target=null] - The object to look at
+   * @param {Object} [settings={}] - Settings for the camera
+   * @param {number} [settings.fov=45] - Vertical field of view in degrees
+   * @param {number} [settings.aspect=1] - Width of the viewport divided by its height
+   * @param {string} [settings.view="threeQuarter"] - Name of the view to start with
+   * @param {number} [settings.margin=1.15] - How much room to leave around the target
+   * @param {number} [settings.duration=0.5] - Seconds that transitions take by default
+   * @param {string} [settings.easing="easeInOut"] - Name of the easing of transitions
+   */
+  constructor(target = null, {fov = 45, aspect = 1, view = "threeQuarter", margin = 1.15, duration = 0.5, easing = "easeInOut"} = {}) {
+    super(fov, aspect, 0.1, 1000);
+    this.name = "clownCamera";
+
+    this.target = target;
+    this.center = new THREE.Vector3();
+    this.orbit = {azimuth: 0, elevation: 0, distance: 50};
+    this.viewName = null;
+    this.margin = margin;
+    this.duration = duration;
+    this.easing = easing;
+    this.minDistance = 1;
+    this.maxDistance = 2000;
+
+    // The transition in progress, if any
+    this._transition = null;
+
+    this.setView(view, {duration: 0});
+  }
+
+  /**
+   * Moves the camera so that the whole target fits in view, looking from the same angles as
+   * before. Does nothing if there is no target or it has nothing to show.
+   * @param {Object} [settings={}] - Settings for the transition
+   * @param {number} [settings.duration=this.duration] - Seconds the transition takes, or 0 to
+   * jump there right away
+   */
+  frame({duration = this.duration} = {}) {
+    const to = this._getFraming(this._transition ? this._transition.to : this.orbit);
+    if (to) {
+      this._moveTo(to, duration);
+    }
+  }
+
+  /**
+   * Switches to one of the {@link clownCameraViews} and frames the target from there. The
+   * view is turned along with the target, so "front" looks at the clown's face.
+   * @param {string} name - Name of the view
+   * @param {Object} [settings={}] - Settings for the transition
+   * @param {number} [settings.duration=this.duration] - Seconds the transition takes, or 0 to
+   * jump there right away
+   */
+  setView(name, {duration = this.duration} = {}) {
+    const view = clownCameraViews[name];
+    if (!view) {
+      throw new Error(`Unknown camera view "${name}"`);
+    }
+
+    const angles = {
+      azimuth: wrapAngle(view.azimuth + this._getTargetHeading()),
+      elevation: this._clampElevation(view.elevation),
+      distance: this.orbit.distance,
+    };
+
+    this.viewName = name;
+    this._moveTo(this._getFraming(angles) || {...angles, center: this.center.clone()}, duration);
+  }
+
+  /**
+   * Advances the transition in progress, if any.
+   * @param {number} delta - Seconds that passed since the last update
+   * @return {boolean} True if the camera is still moving
+   */
+  update(delta) {
+    const transition = this._transition;
+    if (!transition) {
+      return false;
+    }
+
+    transition.elapsed = Math.min(transition.elapsed + delta, transition.duration);
+    const {from, to} = transition;
+    const t = clownEasings[this.easing](transition.elapsed / transition.duration);
+
+    // Turn the shortest way around and zoom evenly no matter how far away the camera is
+    this.center.lerpVectors(from.center, to.center, t);
+    this.orbit.azimuth = wrapAngle(from.azimuth + wrapAngle(to.azimuth - from.azimuth) * t);
+    this.orbit.elevation = from.elevation + (to.elevation - from.elevation) * t;
+    this.orbit.distance = from.distance * Math.pow(to.distance / from.distance, t);
+
+    if (transition.elapsed === transition.duration) {
+      this._transition = null;
+    }
+
+    this._place();
+    return this._transition !== null;
+  }
+
+  /**
+   * Orbits the camera by dragging in the viewport and zooms with the mouse wheel. Dragging
+   * stops any transition in progress. Pointer events that were already taken, such as by the
+   * rings of a {@link ClownPoseGizmo}, are left alone.
+   * @param {HTMLElement} domElement - Element the scene is rendered into
+   * @return {function()} Function that stops the orbiting and zooming
+   */
+  connect(domElement) {
+    // Where the pointer was at the last move of the drag in progress
+    let last = null;
+
+    const onPointerDown = (event) => {
+      if (event.button === 0) {
+        last = {x: event.clientX, y: event.clientY};
+        domElement.setPointerCapture(event.pointerId);
+      }
+    };
+
+    const onPointerMove = (event) => {
+      if (!last) {
+        return;
+      }
+
+      // Dragging across the whole height of the viewport turns the camera half way around
+      const speed = Math.PI / (domElement.clientHeight || 1);
+      this.orbitBy(-(event.clientX - last.x) * speed, (event.clientY - last.y) * speed);
+      last = {x: event.clientX, y: event.clientY};
+    };
+
+    const onPointerUp = () => {
+      last = null;
+    };
+
+    const onWheel = (event) => {
+      event.preventDefault();
+      this.zoomBy(Math.exp(event.deltaY * 0.001));
+    };
+
+    domElement.addEventListener("pointerdown", onPointerDown);
+    domElement.addEventListener("pointermove", onPointerMove);
+    domElement.addEventListener("pointerup", onPointerUp);
+    domElement.addEventListener("wheel", onWheel, {passive: false});
+
+    return () => {
+      domElement.removeEventListener("pointerdown", onPointerDown);
+      domElement.removeEventListener("pointermove", onPointerMove);
+      domElement.removeEventListener("pointerup", onPointerUp);
+      domElement.removeEventListener("wheel", onWheel);
+    };
+  }
+
+  /**
+   * Turns the camera around the center. Stops any transition in progress.
+   * @param {number} azimuth - Radians to turn around the vertical axis
+   * @param {number} elevation - Radians to turn upwards
+   */
+  orbitBy(azimuth, elevation) {
+    this._transition = null;
+    this.viewName = null;
+    this.orbit.azimuth = wrapAngle(this.orbit.azimuth + azimuth);
+    this.orbit.elevation = this._clampElevation(this.orbit.elevation + elevation);
+    this._place();
+  }
+
+  /**
+   * Moves the camera towards or away from the center, within minDistance and maxDistance.
+   * Stops any transition in progress.
+   * @param {number} factor - Amount to multiply the distance by, below 1 to zoom in
+   */
+  zoomBy(factor) {
+    this._transition = null;
+    this.orbit.distance = THREE.MathUtils.clamp(this.orbit.distance * factor, this.minDistance, this.maxDistance);
+    this._place();
+  }
+
+  /**
+   * Finds the center and distance that fit the whole target in view from some angles. Every
+   * corner of the target's bounds is checked against the field of view, both vertically and
+   * horizontally, so wide and tall targets are framed just as tightly.
+   * @param {{azimuth: number, elevation: number}} angles - Angles to look from
+   * @return {?{center: Vector3, azimuth: number, elevation: number, distance: number}} Where
+   * to move the camera, or null if there is nothing to frame
+   */
+  _getFraming({azimuth, elevation}) {
+    if (!this.target) {
+      return null;
+    }
+
+    const box = new THREE.Box3().setFromObject(this.target);
+    if (box.isEmpty()) {
+      return null;
+    }
+
+    // Directions of the viewport, and from the center towards the camera
+    const {right, up, back} = this._getAxes(azimuth, elevation);
+    const center = box.getCenter(new THREE.Vector3());
+    const tanY = Math.tan(THREE.MathUtils.degToRad(this.fov) / 2);
+    const tanX = tanY * this.aspect;
+
+    // Back away until every corner is inside the field of view
+    let distance = 0;
+    const corner = new THREE.Vector3();
+    for (let i = 0; i < 8; i++) {
+      corner.set(
+        i & 1 ? box.max.x : box.min.x,
+        i & 2 ? box.max.y : box.min.y,
+        i & 4 ? box.max.z : box.min.z
+      ).sub(center);
+
+      const depth = corner.dot(back);
+      distance = Math.max(distance,
+                          depth + Math.abs(corner.dot(right)) / tanX,
+                          depth + Math.abs(corner.dot(up)) / tanY);
+    }
+
+    distance = THREE.MathUtils.clamp(distance * this.margin, this.minDistance, this.maxDistance);
+    return {center, azimuth, elevation, distance};
+  }
+
+  /**
+   * Finds which way the target faces around the vertical axis.
+   * @return {number} Angle of the target's front from the z axis in radians
+   */
+  _getTargetHeading() {
+    if (!this.target) {
+      return 0;
+    }
+
+    this.target.updateWorldMatrix(true, false);
+    const front = new THREE.Vector3(0, 0, 1).transformDirection(this.target.matrixWorld);
+
+    // Looking straight up or down has no heading
+    return Math.hypot(front.x, front.z) < 1e-6 ? 0 : Math.atan2(front.x, front.z);
+  }
+
+  /**
+   * Finds the directions of the viewport when looking from some angles.
+   * @param {number} azimuth - Angle around the vertical axis
+   * @param {number} elevation - Angle upwards
+   * @return {{right: Vector3, up: Vector3, back: Vector3}} Directions to the right, up, and
+   * from the center towards the camera
+   */
+  _getAxes(azimuth, elevation) {
+    const back = new THREE.Vector3(
+      Math.cos(elevation) * Math.sin(azimuth),
+      Math.sin(elevation),
+      Math.cos(elevation) * Math.cos(azimuth)
+    );
+    const right = new THREE.Vector3(Math.cos(azimuth), 0, -Math.sin(azimuth));
+    const up = back.clone().cross(right);
+
+    return {right, up, back};
+  }
+
+  /**
+   * Keeps an elevation just short of straight up or down, where the camera would not know
+   * which way is up.
+   * @param {number} elevation - Angle upwards
+   * @return {number} The elevation within limits
+   */
+  _clampElevation(elevation) {
+    const limit = Math.PI/2 - 1e-3;
+    return THREE.MathUtils.clamp(elevation, -limit, limit);
+  }
+
+  /**
+   * Starts a transition to a new center and orbit, or jumps there without a duration.
+   * @param {{center: Vector3, azimuth: number, elevation: number, distance: number}} to -
+   * Where to move the camera
+   * @param {number} duration - Seconds the transition takes
+   */
+  _moveTo(to, duration) {
+    if (duration > 0) {
+      const from = {center: this.center.clone(), ...this.orbit};
+      this._transition = {from, to, duration, elapsed: 0};
+      return;
+    }
+
+    this._transition = null;
+    this.center.copy(to.center);
+    this.orbit = {azimuth: to.azimuth, elevation: to.elevation, distance: to.distance};
+    this._place();
+  }
+
+  /** Places the camera on its orbit, looking at the center. */
+  _place() {
+    const {azimuth, elevation, distance} = this.orbit;
+    const {back} = this._getAxes(azimuth, elevation);
+
+    this.position.copy(this.center).addScaledVector(back, distance);
+    this.lookAt(this.center);
+
+    // Keep the depth range around the target wherever the camera is
+    this.near = distance / 100;
+    this.far = distance * 100;
+    this.updateProjectionMatrix();
+    this.updateMatrixWorld();
+
+    this.dispatchEvent({type: "change"});
+  }
+}
+
+// ====================================================================
+// EXPORTS
+
+export {
+  // Options
+  clownExpressions,
+  clownQualities,
+  clownParamsSchema,
+  clownPalettes,
+  ClownParamsError,
+  createDefaultClownParams,
+  validateClownParams,
+  clampParam,
+
+  // Saving and loading
+  clownJSONVersion,
+  clownJSONMigrations,
+  migrateClownJSON,
+
+  // The clown and its accessories
+  clownSockets,
+  clownAccessories,
+  Clown,
+
+  // Animation
+  clownEasings,
+  ClownClip,
+  ClownAction,
+  ClownMixer,
+  ClownFace,
+  wrapAngle,
+
+  // Exporting
+  exportClownGLTF,
+  createClownPrintMesh,
+  printMeshToSTL,
+  printMeshToOBJ,
+
+  // Crowds and levels of detail
+  ClownCrowd,
+  ClownCrowdMember,
+  clownLODLevels,
+  ClownLOD,
+
+  // Editing
+  ClownManager,
+  clownJoints,
+  ClownPoseGizmo,
+  ClownHistory,
+  clownPresets,
+  createLocalPresetStorage,
+  createFilePresetStorage,
+  ClownPresetLibrary,
+  createClownGUI,
+
+  // Scene helpers
+  createOriginPoint,
+  createLightRig,
+  clownCameraViews,
+  ClownCamera,
+};
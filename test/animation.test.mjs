@@ -0,0 +1,122 @@
+// Checks clips and the mixer by stepping time by hand, without a renderer
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {Clown, ClownClip, ClownMixer} from "../clown.js";
+
+// Turns the left arm from 0.5 to 1.5 and back over a second
+const swing = ClownClip.fromKeyframes("swing", [
+  {time: 0, options: {arms: {leftArm: {rotZ: 0.5}}}},
+  {time: 0.5, options: {arms: {leftArm: {rotZ: 1.5}}}},
+  {time: 1, options: {arms: {leftArm: {rotZ: 0.5}}}},
+]);
+
+// Moves the clown up and down over a second
+const hop = ClownClip.fromKeyframes("hop", [
+  {time: 0, transform: {position: {y: 0}}},
+  {time: 0.5, transform: {position: {y: 4}}},
+  {time: 1, transform: {position: {y: 0}}},
+]);
+
+test("clips reject paths that cannot be played back", () => {
+  for (const path of ["position", "scale", "rotation.w", "position.xy", "arms", "arms.leftArm.rotq"]) {
+    assert.throws(() => new ClownClip("bad", [{path, times: [0], values: [0]}]), /animates/, path);
+  }
+
+  assert.throws(() => new ClownClip("bad", [{path: "position.x", easing: "bouncy", times: [0], values: [0]}]), /unknown easing/);
+  assert.throws(() => new ClownClip("bad", [{path: "position.x", times: [0, 1], values: [0]}]), /needs a value/);
+  assert.doesNotThrow(() => new ClownClip("good", [{path: "rotation.y", times: [0], values: [0]}]));
+});
+
+test("keyframes are sampled the shortest way around", () => {
+  const [track] = swing.tracks;
+  assert.equal(swing.duration, 1);
+  assert.equal(ClownClip.sampleTrack(track, -1), 0.5);
+  assert.equal(ClownClip.sampleTrack(track, 0.25), 1);
+  assert.equal(ClownClip.sampleTrack(track, 2), 0.5);
+
+  // Angles take the shortest way across the wrap rather than sweeping back through 180
+  const degrees = Math.PI / 180;
+  const turn = new ClownClip("turn", [{path: "rotation.y", times: [0, 1], values: [350 * degrees, 10 * degrees]}]);
+  assert.ok(Math.abs(ClownClip.sampleTrack(turn.tracks[0], 0.25) + 5 * degrees) < 1e-9);
+  assert.ok(Math.abs(ClownClip.sampleTrack(turn.tracks[0], 0.5)) < 1e-9);
+  assert.ok(Math.abs(ClownClip.sampleTrack(turn.tracks[0], 0.75) - 5 * degrees) < 1e-9);
+
+  const flip = new ClownClip("flip", [{path: "arms.leftArm.rotZ", times: [0, 1], values: [2.5, -2.5]}]);
+  assert.ok(Math.abs(Math.abs(ClownClip.sampleTrack(flip.tracks[0], 0.5)) - Math.PI) < 1e-9);
+
+  // Tracks can opt out to go through every value in between
+  const sweep = new ClownClip("sweep", [{
+    path: "arms.leftArm.rotZ", shortestAngle: false, times: [0, 1], values: [2.5, -2.5],
+  }]);
+  assert.equal(ClownClip.sampleTrack(sweep.tracks[0], 0.5), 0);
+  assert.deepEqual(ClownClip.fromJSON(JSON.stringify(sweep)).tracks, sweep.tracks);
+});
+
+test("stepping the mixer poses the clown", () => {
+  const clown = new Clown();
+  const mixer = new ClownMixer(clown);
+  mixer.play(swing);
+  mixer.play(hop);
+
+  mixer.update(0.25);
+  assert.ok(Math.abs(clown._options.arms.leftArm.rotZ - 1) < 1e-9);
+  assert.ok(Math.abs(clown.position.y - 2) < 1e-9);
+
+  // Looping clips start over once they end
+  mixer.update(1);
+  assert.ok(Math.abs(clown._options.arms.leftArm.rotZ - 1) < 1e-9);
+
+  // Paused mixers hold the pose
+  mixer.pause();
+  mixer.update(0.25);
+  assert.ok(Math.abs(clown.position.y - 2) < 1e-9);
+});
+
+test("clips that do not loop hold their last frame", () => {
+  const clown = new Clown();
+  const mixer = new ClownMixer(clown);
+  mixer.play(hop, {loop: false});
+
+  for (let i = 0; i < 90; i++) {
+    mixer.update(1/60);
+  }
+  assert.equal(clown.position.y, 0);
+  assert.equal(mixer.actions.length, 1);
+});
+
+test("fading out returns the clown to its pose from before the clip", () => {
+  const clown = new Clown({arms: {leftArm: {rotZ: 0.2}}});
+  const mixer = new ClownMixer(clown);
+  const action = mixer.play(swing, {fadeIn: 0.5});
+
+  // Halfway through the fade in, the arm is halfway between the rest pose and the clip
+  mixer.update(0.25);
+  assert.ok(Math.abs(clown._options.arms.leftArm.rotZ - (0.2 + 1) / 2) < 1e-9);
+
+  action.fadeTo(0, 0.5);
+  mixer.update(0.5);
+  assert.ok(Math.abs(clown._options.arms.leftArm.rotZ - 0.2) < 1e-9);
+  assert.equal(mixer.actions.length, 0);
+});
+
+test("crossfading hands the pose from one clip to the other", () => {
+  const clown = new Clown();
+  const mixer = new ClownMixer(clown);
+  const hold = ClownClip.fromKeyframes("hold", [{time: 0, options: {arms: {leftArm: {rotZ: 2}}}}]);
+  mixer.play(hold);
+  mixer.update(0);
+
+  mixer.crossFadeTo(swing, 1);
+  mixer.update(0.5);
+  assert.ok(Math.abs(clown._options.arms.leftArm.rotZ - (2 + 1.5) / 2) < 1e-9);
+
+  mixer.update(0.5);
+  assert.ok(Math.abs(clown._options.arms.leftArm.rotZ - 0.5) < 1e-9);
+  assert.deepEqual(mixer.actions.map((action) => action.clip.name), ["swing"]);
+});
+
+test("clips survive a round trip through JSON", () => {
+  const loaded = ClownClip.fromJSON(JSON.stringify(swing));
+  assert.deepEqual(loaded.toJSON(), swing.toJSON());
+});
@@ -0,0 +1,69 @@
+// Checks the bookkeeping of crowds, which share geometries between their members
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {ClownCrowd} from "../clown.js";
+
+test("members added since the last update are counted", () => {
+  const crowd = new ClownCrowd();
+  for (let i = 0; i < 50; i++) {
+    crowd.addMember({legs: {length: 5 + (i % 11)}});
+  }
+
+  const stats = crowd.getStats();
+  assert.equal(stats.members, 50);
+  assert.equal(stats.asClowns.geometries, 50 * 29);
+  assert.equal(stats.drawCalls, 0);
+
+  crowd.update();
+  assert.ok(crowd.getStats().drawCalls > 0);
+});
+
+test("default clowns share one batch per shape and material", () => {
+  const crowd = new ClownCrowd();
+  for (let i = 0; i < 100; i++) {
+    crowd.addMember().position.x = 20 * i;
+  }
+  crowd.update();
+
+  const stats = crowd.getStats();
+  assert.ok(stats.drawCalls < 20, `${stats.drawCalls} draw calls`);
+  assert.ok(stats.asClowns.drawCalls > 100 * stats.drawCalls);
+});
+
+test("shapes that no member uses anymore are freed", () => {
+  const crowd = new ClownCrowd();
+  const member = crowd.addMember();
+  crowd.update();
+  const start = crowd.getStats();
+
+  // Every limb length and accessory brings shapes of its own, which must not pile up
+  for (let length = 5; length <= 15; length++) {
+    member.redraw({arms: {length}, legs: {length}, accessories: {rightHand: {name: "balloon", options: {}}}});
+    crowd.update();
+  }
+  member.redraw({arms: {length: 10}, legs: {length: 10}, accessories: {rightHand: null}});
+  crowd.update();
+
+  const end = crowd.getStats();
+  assert.equal(end.geometries, start.geometries);
+  assert.equal(end.drawCalls, start.drawCalls);
+  assert.equal(crowd.children.length, start.drawCalls);
+
+  // Removing the last member frees everything but the materials
+  crowd.removeMember(member);
+  assert.equal(crowd.getStats().geometries, 0);
+  assert.equal(crowd.children.length, 0);
+});
+
+test("shapes shared by other members stay", () => {
+  const crowd = new ClownCrowd();
+  const [first] = [crowd.addMember(), crowd.addMember()];
+  crowd.update();
+  const {geometries} = crowd.getStats();
+
+  crowd.removeMember(first);
+  crowd.update();
+  assert.equal(crowd.getStats().geometries, geometries);
+  assert.equal(crowd.children.length, crowd.getStats().drawCalls);
+});
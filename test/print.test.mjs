@@ -0,0 +1,43 @@
+// Checks that the print report catches clowns that would not print, rather than only
+// restating that the surface is closed
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {Clown, createClownPrintMesh} from "../clown.js";
+
+test("a default clown prints at 100mm", () => {
+  const {report} = createClownPrintMesh(new Clown(), {height: 100, resolution: 100});
+  assert.equal(report.shells, 1);
+  assert.deepEqual(report.thinParts, []);
+  assert.ok(report.minFeatureSize > 0.4, `thinnest part is ${report.minFeatureSize}mm`);
+  assert.equal(report.printable, true);
+});
+
+test("parts that break off into shells of their own are not printable", () => {
+  // A squashed head makes small parts of the face thinner than a grid cell, so they come loose
+  const clown = new Clown({head: {scaleY: 0.5}});
+  const {report} = createClownPrintMesh(clown, {height: 100, resolution: 100});
+  assert.ok(report.shells > 1, `${report.shells} shells`);
+  assert.equal(report.printable, false);
+
+  // A finer grid keeps them attached
+  const fine = createClownPrintMesh(clown, {height: 100, resolution: 160});
+  assert.equal(fine.report.shells, 1);
+});
+
+test("parts thinner than the nozzle are reported", () => {
+  const clown = new Clown();
+
+  // The eyebrows are the thinnest parts, and shrink along with the clown
+  const small = createClownPrintMesh(clown, {height: 40, resolution: 40});
+  assert.ok(small.report.minFeatureSize < 0.4);
+  assert.ok(small.report.thinParts.includes("leftBrow"), small.report.thinParts.join());
+  assert.ok(small.report.thinParts.includes("rightBrow"), small.report.thinParts.join());
+  assert.equal(small.report.printable, false);
+
+  // A wider nozzle fails at a size that a 0.4mm nozzle prints
+  const wide = createClownPrintMesh(clown, {height: 100, resolution: 40, nozzleWidth: 1});
+  assert.ok(wide.report.thinParts.length > 0);
+  assert.equal(wide.report.printable, false);
+  assert.deepEqual(createClownPrintMesh(clown, {height: 100, resolution: 40}).report.thinParts, []);
+});
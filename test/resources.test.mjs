@@ -0,0 +1,111 @@
+// Checks that redrawing the clown frees every geometry and material it replaces, so that
+// a long editing session does not leak GPU memory
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {Clown} from "../clown.js";
+
+// Changes that each rebuild some geometries or materials of the clown, applied in turn
+const changes = [
+  {arms: {length: 14}, legs: {length: 6}},
+  {body: {radius: 7}},
+  {material: "standard"},
+  {quality: "low"},
+  {accessories: {rightHand: {name: "balloon", options: {}}, chest: {name: "bowTie", options: {}}}},
+  {material: "toon", quality: {round: 8, limbs: 4}},
+  {accessories: {headTop: null, leftFoot: {name: "bigShoes", options: {}}}},
+  {head: {expression: "surprised"}, colors: {torso: "#ff0000"}},
+];
+
+// Everything back to where the clown started
+const reset = {
+  arms: {length: 10},
+  legs: {length: 10},
+  body: {radius: 6},
+  head: {expression: "happy"},
+  colors: {torso: "#00a9fe"},
+  accessories: {headTop: {name: "topHat", options: {}}, rightHand: null, chest: null, leftFoot: null},
+  material: "basic",
+  quality: "high",
+};
+
+// Every geometry and material that the meshes of an object use, found by walking the scene
+// graph rather than through the clown's own bookkeeping
+function collectResources(object) {
+  const resources = new Set();
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    resources.add(child.geometry);
+    for (const material of [].concat(child.material)) resources.add(material);
+  });
+  return resources;
+}
+
+// Resources that fired their "dispose" event
+const disposed = new WeakSet();
+
+function onDispose(event) {
+  disposed.add(event.target);
+}
+
+// Redraws the clown and checks that every resource its meshes stopped using fired its
+// "dispose" event, and that none of the ones still in use did
+function redrawAndCheck(clown, change) {
+  const before = collectResources(clown);
+  for (const resource of before) {
+    if (!resource.hasEventListener("dispose", onDispose)) {
+      resource.addEventListener("dispose", onDispose);
+    }
+  }
+
+  clown.redraw(change);
+
+  const after = collectResources(clown);
+  const message = `after ${JSON.stringify(change)}`;
+  for (const resource of before) {
+    if (after.has(resource)) continue;
+    assert.ok(disposed.has(resource), `${resource.type} dropped without dispose() ${message}`);
+  }
+  for (const resource of after) {
+    assert.ok(!disposed.has(resource), `${resource.type} disposed while in use ${message}`);
+  }
+}
+
+test("1,000 redraws leave the resource counts flat", () => {
+  const clown = new Clown();
+  const start = clown.getResourceCounts();
+  assert.deepEqual(start, {geometries: 29, materials: 15});
+
+  let redraws = 0;
+  while (redraws < 1000) {
+    for (const change of [...changes, reset]) {
+      redrawAndCheck(clown, change);
+      redraws++;
+    }
+
+    assert.deepEqual(clown.getResourceCounts(), start, `after ${redraws} redraws`);
+  }
+});
+
+test("a redrawn clown holds as many resources as a new one with the same options", () => {
+  const clown = new Clown();
+
+  for (const change of changes) {
+    redrawAndCheck(clown, change);
+    const fresh = new Clown(clown.toJSON().options);
+    assert.deepEqual(clown.getResourceCounts(), fresh.getResourceCounts(), JSON.stringify(change));
+    fresh.dispose();
+  }
+});
+
+test("dispose() frees everything", () => {
+  const clown = new Clown({accessories: {rightHand: {name: "balloon", options: {}}}});
+  const resources = collectResources(clown);
+  for (const resource of resources) resource.addEventListener("dispose", onDispose);
+
+  clown.dispose();
+  assert.deepEqual(clown.getResourceCounts(), {geometries: 0, materials: 0});
+  for (const resource of resources) {
+    assert.ok(disposed.has(resource), `${resource.type} left without dispose()`);
+  }
+});
@@ -0,0 +1,177 @@
+// Checks that the builders of the clown still build the same scene graph, by comparing the
+// describe() output of every case against the snapshots stored in snapshots/clown.json.
+// After a change that is meant to alter the clown, store new snapshots with
+//   UPDATE_SNAPSHOTS=1 node --test test/snapshots.test.mjs
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {Clown, clownExpressions, clownPalettes} from "../clown.js";
+
+/** Where the snapshots are stored. */
+const snapshotsURL = new URL("./snapshots/clown.json", import.meta.url);
+
+/**
+ * @typedef {Object} ClownSnapshotDifference
+ * @property {string} name - Name of the case within the snapshot cases
+ * @property {string} build - How the clown was built, either "new" for a new clown or
+ * "redraw" for a default clown redrawn with the options of the case
+ * @property {string} path - Where in the description the difference is, such as
+ * "clown/body/leftArm.rotation"
+ * @property {*} expected - The value in the stored snapshot
+ * @property {*} actual - The value in the current description
+ */
+
+/**
+ * Options of the clowns compared against the snapshots. The cases cover the default clown,
+ * the extremes of every length and radius, bent joints, every expression, every accessory,
+ * every kind of material, and lower qualities.
+ * @type {Object<string, ClownParams>}
+ */
+const clownSnapshotCases = {
+  default: {},
+  short: {arms: {length: 5}, legs: {length: 5}, body: {radius: 5, stretchY: 1}},
+  long: {arms: {length: 15}, legs: {length: 15}, body: {radius: 7, stretchY: 1.5}},
+  bent: {
+    arms: {leftArm: {rotX: -0.5, rotZ: Math.PI/3, elbow: Math.PI/2}, rightArm: {rotY: 1, elbow: 3*Math.PI/4}},
+    legs: {leftLeg: {rotX: -Math.PI/4, knee: Math.PI/2}, rightLeg: {rotY: 0.5, rotZ: -0.3}},
+  },
+  head: {head: {scaleX: 1.5, scaleY: 0.5, scaleZ: 1.2, rotX: -0.5, rotY: 0.5, rotZ: 0.3}},
+  ...Object.fromEntries(Object.keys(clownExpressions).map((expression) => (
+    [expression, {head: {expression, fromExpression: expression}}]
+  ))),
+  blend: {head: {expression: "surprised", fromExpression: "angry", expressionBlend: 0.5, blink: 0.5}},
+  accessories: {
+    colors: clownPalettes.circus,
+    accessories: {
+      headTop: {name: "coneHat", options: {height: 10}},
+      leftHand: {name: "balloon", options: {}},
+      rightHand: null,
+      chest: {name: "bowTie", options: {size: 1.5}},
+      leftFoot: {name: "bigShoes", options: {}},
+      rightFoot: {name: "bigShoes", options: {}},
+    },
+  },
+  standard: {material: "standard"},
+  toon: {material: "toon", colors: clownPalettes.midnight},
+  low: {quality: "low", accessories: {chest: {name: "bowTie", options: {}}}},
+  segments: {quality: {round: 8, smile: 12}},
+};
+
+/**
+ * Describes a clown for every snapshot case.
+ * @param {Object<string, ClownParams>} [cases=clownSnapshotCases] - Options of every clown
+ * to describe
+ * @return {Object<string, ClownDescription>} Description of every clown by the name of its
+ * case
+ */
+function createClownSnapshots(cases = clownSnapshotCases) {
+  const snapshots = {};
+
+  for (const [name, options] of Object.entries(cases)) {
+    const clown = new Clown(options);
+    snapshots[name] = clown.describe();
+    clown.dispose();
+  }
+
+  return snapshots;
+}
+
+/**
+ * Compares clowns against stored snapshots made by {@link createClownSnapshots}. Every case
+ * is built twice, once as a new clown and once by redrawing a default clown, so that both
+ * ways of building the clown are checked.
+ * @param {Object<string, ClownDescription>} snapshots - The stored snapshots
+ * @param {Object<string, ClownParams>} [cases=clownSnapshotCases] - Options of every clown
+ * to compare
+ * @return {ClownSnapshotDifference[]} Every difference found, none if everything matches
+ */
+function compareClownSnapshots(snapshots, cases = clownSnapshotCases) {
+  const differences = [];
+
+  for (const [name, options] of Object.entries(cases)) {
+    // Cases without a stored snapshot cannot be compared
+    if (!snapshots.hasOwnProperty(name)) {
+      differences.push({name, build: "new", path: "", expected: undefined, actual: "missing snapshot"});
+      continue;
+    }
+
+    const newClown = new Clown(options);
+    const redrawnClown = new Clown();
+    redrawnClown.redraw(options);
+
+    const builds = [["new", newClown], ["redraw", redrawnClown]];
+    for (const [build, clown] of builds) {
+      for (const difference of diffClownDescriptions(snapshots[name], clown.describe())) {
+        differences.push({name, build, ...difference});
+      }
+      clown.dispose();
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Finds the differences between two descriptions of a clown. Children are compared by their
+ * position among their siblings and named in the path after the name of the child.
+ * @param {ClownDescription} expected - The stored description
+ * @param {ClownDescription} actual - The current description
+ * @param {string} [path=expected.name] - Path of the descriptions within the clown
+ * @return {{path: string, expected: *, actual: *}[]} Every difference found
+ */
+function diffClownDescriptions(expected, actual, path = expected.name) {
+  const differences = [];
+
+  // Everything but the children is compared as JSON
+  for (const key of ["name", "type", "position", "rotation", "scale", "geometry", "material"]) {
+    if (JSON.stringify(expected[key]) !== JSON.stringify(actual[key])) {
+      differences.push({path: `${path}.${key}`, expected: expected[key], actual: actual[key]});
+    }
+  }
+
+  // Parts that were added or removed show up as children with no counterpart
+  const count = Math.max(expected.children.length, actual.children.length);
+  for (let i = 0; i < count; i++) {
+    const expectedChild = expected.children[i];
+    const actualChild = actual.children[i];
+
+    if (!expectedChild || !actualChild) {
+      const child = expectedChild || actualChild;
+      differences.push({path: `${path}/${child.name || i}`, expected: expectedChild && expectedChild.name, actual: actualChild && actualChild.name});
+      continue;
+    }
+
+    differences.push(...diffClownDescriptions(expectedChild, actualChild, `${path}/${expectedChild.name || i}`));
+  }
+
+  return differences;
+}
+
+// Store new snapshots instead of comparing when asked to
+if (process.env.UPDATE_SNAPSHOTS) {
+  fs.mkdirSync(new URL("./snapshots/", import.meta.url), {recursive: true});
+  fs.writeFileSync(snapshotsURL, `${JSON.stringify(createClownSnapshots(), null, 1)}\n`);
+}
+
+test("every case is stored", () => {
+  const snapshots = JSON.parse(fs.readFileSync(snapshotsURL, "utf8"));
+  assert.deepEqual(Object.keys(snapshots).sort(), Object.keys(clownSnapshotCases).sort());
+});
+
+test("new and redrawn clowns match the stored snapshots", () => {
+  const snapshots = JSON.parse(fs.readFileSync(snapshotsURL, "utf8"));
+  const differences = compareClownSnapshots(snapshots).map(({name, build, path, expected, actual}) => (
+    `${name} (${build}) ${path}: expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`
+  ));
+
+  assert.deepEqual(differences, []);
+});
+
+test("the comparison catches a changed clown", () => {
+  const snapshots = createClownSnapshots({default: {}});
+  const differences = compareClownSnapshots(snapshots, {default: {legs: {length: 12}}});
+
+  assert.ok(differences.some(({path}) => path.startsWith("clown/")), JSON.stringify(differences[0]));
+  assert.ok(differences.every(({name}) => name === "default"));
+});
@@ -0,0 +1,99 @@
+// Checks the walk cycle by stepping time by hand, measuring the feet of a real clown
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import {Clown} from "../clown.js";
+import {ClownWalker} from "../walk.js";
+
+// A square with sharp corners to walk around
+const square = [
+  new THREE.Vector3(30, 0, 30), new THREE.Vector3(-30, 0, 30),
+  new THREE.Vector3(-30, 0, -30), new THREE.Vector3(30, 0, -30),
+];
+
+/**
+ * Walks a clown around the square and measures its feet after every step of time.
+ * @param {number} legLength - Length of the clown's legs
+ * @return {{gap: number, lowest: number, highest: number, slide: number}} Largest distance
+ * between the feet along the way the clown faces, lowest and highest point of the lower
+ * foot, and largest sideways share of any movement
+ */
+function walkSquare(legLength) {
+  const clown = new Clown({legs: {length: legLength}});
+  const walker = new ClownWalker(clown, {speed: 8, loop: true});
+  walker.setPath(square);
+
+  const result = {gap: 0, lowest: Infinity, highest: -Infinity, slide: 0};
+  const box = new THREE.Box3();
+  for (let frame = 0; frame < 900; frame++) {
+    const before = clown.position.clone();
+    walker.update(1/60);
+
+    const heading = new THREE.Vector3(Math.sin(clown.rotation.y), 0, Math.cos(clown.rotation.y));
+    const moved = clown.position.clone().sub(before).setY(0);
+    if (moved.length() > 1e-9) {
+      result.slide = Math.max(result.slide, moved.clone().cross(heading).length() / moved.length());
+    }
+
+    // Skip the first steps while the swing eases in
+    if (frame < 60) {
+      continue;
+    }
+
+    const feet = ["left", "right"].map((side) => clown.getPartBounds(`${side}Leg`, box).min.y);
+    result.lowest = Math.min(result.lowest, ...feet);
+    result.highest = Math.max(result.highest, Math.min(...feet));
+
+    const ankles = ["left", "right"].map((side) => clown.getPart(`${side}FootSocket`).getWorldPosition(new THREE.Vector3()));
+    result.gap = Math.max(result.gap, Math.abs(ankles[0].sub(ankles[1]).dot(heading)));
+  }
+
+  return result;
+}
+
+test("longer legs take longer steps", () => {
+  const short = walkSquare(5);
+  const long = walkSquare(15);
+
+  assert.ok(long.gap > 2.5 * short.gap, `${short.gap} and ${long.gap}`);
+});
+
+test("the lower foot stays on the ground", () => {
+  for (const legLength of [5, 10, 15]) {
+    const {lowest, highest} = walkSquare(legLength);
+    assert.ok(lowest > -0.01, `legs ${legLength} sink to ${lowest}`);
+    assert.ok(highest < 0.01, `legs ${legLength} float at ${highest}`);
+  }
+});
+
+test("the clown does not slide sideways around corners", () => {
+  assert.ok(walkSquare(10).slide < 0.1);
+});
+
+test("the clown stops at the end of the path", () => {
+  const clown = new Clown();
+  const walker = new ClownWalker(clown, {speed: 8});
+  walker.setPath([new THREE.Vector3(0, 0, 10)]);
+
+  for (let frame = 0; frame < 120; frame++) {
+    walker.update(1/60);
+  }
+  assert.equal(walker.isWalking(), false);
+  assert.equal(clown.position.z, 10);
+});
+
+test("a stride of 0 moves the clown without stepping", () => {
+  const clown = new Clown();
+  const walker = new ClownWalker(clown, {speed: 8, stride: 0});
+  walker.setPath([new THREE.Vector3(0, 0, 10)]);
+
+  for (let frame = 0; frame < 30; frame++) {
+    walker.update(1/60);
+  }
+  const {leftLeg, rightLeg} = clown.toJSON().options.legs;
+  for (const value of [leftLeg.rotX, leftLeg.knee, rightLeg.rotX, rightLeg.knee, clown.position.y]) {
+    assert.ok(Number.isFinite(value), `${value}`);
+  }
+  assert.ok(clown.position.z > 0);
+});
@@ -0,0 +1,223 @@
+// ====================================================================
+// IMPORTS
+
+// Walking only drives the options and transform of a clown, so it lives apart from the
+// clown itself and is imported on its own when needed
+import {clownParamsSchema, clampParam, wrapAngle} from "./clown.js";
+
+// ====================================================================
+// WALK CYCLE CODE
+
+/**
+ * Walks a clown along a list of waypoints. Every step is as long as the stride times the
+ * current length of the legs, so longer legs take longer steps at a slower pace, and the
+ * legs and arms swing just far enough to put the feet a step apart. The clown walks the way
+ * it faces and slows down while turning, so it turns on the spot at sharp corners instead of
+ * sliding sideways. It is kept on the ground by the lowest point of its feet. Time only moves
+ * when update() is called, so the walk can be stepped by hand in tests.
+ * @example
+ * // Walk around a square forever
+ * const walker = new ClownWalker(clown, {speed: 8, loop: true});
+ * walker.setPath([
+ *   new THREE.Vector3(20, 0, 20), new THREE.Vector3(-20, 0, 20),
+ *   new THREE.Vector3(-20, 0, -20), new THREE.Vector3(20, 0, -20),
+ * ]);
+ * function animate() {
+ *   walker.update(1/60);
+ *   TW.render();
+ *   requestAnimationFrame(animate);
+ * }
+ * @property {Clown} clown - The clown being walked
+ * @property {number} speed - Walking speed in world units per second
+ * @property {number} stride - Length of a step in leg lengths. A stride of 0 or less moves
+ * the clown along without stepping.
+ * @property {boolean} loop - Whether to start over at the first waypoint after the last
+ * @property {number} groundY - Height of the ground plane the feet rest on
+ * @property {number} turnSpeed - How fast the clown turns in radians per second
+ */
+class ClownWalker {
+  /**
+   * Constructor for the walker.
+   * @param {Clown} clown - The clown to walk
+   * @param {Object} [settings={}] - Settings for the walk
+   * @param {number} [settings.speed=5] - Walking speed in world units per second
+   * @param {number} [settings.stride=0.5] - Length of a step in leg lengths
+   * @param {boolean} [settings.loop=false] - Whether to loop back to the first waypoint
+   * @param {number} [settings.groundY=0] - Height of the ground plane
+   * @param {number} [settings.turnSpeed=Math.PI] - How fast the clown turns in radians per
+   * second
+   */
+  constructor(clown, {speed = 5, stride = 0.5, loop = false, groundY = 0, turnSpeed = Math.PI} = {}) {
+    this.clown = clown;
+    this.speed = speed;
+    this.stride = stride;
+    this.loop = loop;
+    this.groundY = groundY;
+    this.turnSpeed = turnSpeed;
+
+    // Points left to walk to and the index of the next one
+    this._waypoints = [];
+    this._next = 0;
+
+    // Progress through the walk cycle in radians and the current swing of the legs
+    this._phase = 0;
+    this._swing = 0;
+  }
+
+  /**
+   * Sets the path to walk along. Only the x and z coordinates of the points are used since
+   * the clown always stays on the ground.
+   * @param {Vector3[]|Curve} path - List of waypoints, or a curve that is split into them
+   * @param {number} [divisions=50] - Number of pieces to split a curve into
+   */
+  setPath(path, divisions = 50) {
+    this._waypoints = path.getSpacedPoints ? path.getSpacedPoints(divisions) : [...path];
+    this._next = 0;
+  }
+
+  /**
+   * Checks whether the clown is still walking towards a waypoint.
+   * @return {boolean} True if there are waypoints left to reach
+   */
+  isWalking() {
+    return this._next < this._waypoints.length;
+  }
+
+  /**
+   * Advances the walk.
+   * @param {number} delta - Seconds that passed since the last update
+   */
+  update(delta) {
+    const {clown} = this;
+
+    // Length of the legs in world units
+    const legLength = clown._options.legs.length * clown.scale.y;
+
+    // Walk towards the waypoints
+    let distance = 0;
+    if (this.isWalking() && this.speed > 0) {
+      distance = this._move(delta);
+    }
+
+    // Longer legs take longer steps, and the legs swing just far enough that the feet end
+    // up a step apart, easing in and out of it. Without a stride, the legs come to rest.
+    const stepLength = Math.min(this.stride, 2) * legLength;
+    const stepping = distance > 0 && stepLength > 0;
+    const targetSwing = stepping ? Math.asin(stepLength / (2 * legLength)) : 0;
+    this._swing += (targetSwing - this._swing) * Math.min(1, delta * 5);
+
+    // Two steps make up a full walk cycle
+    if (stepping) {
+      this._phase = (this._phase + (distance / stepLength) * Math.PI) % (2 * Math.PI);
+    }
+
+    this._pose(legLength / clown.scale.y);
+  }
+
+  /**
+   * Moves and turns the clown towards the waypoints.
+   * @param {number} delta - Seconds that passed since the last update
+   * @return {number} Distance walked in world units
+   */
+  _move(delta) {
+    const {position, rotation} = this.clown;
+    let remaining = this.speed * delta;
+    let turnLeft = this.turnSpeed * delta;
+    let walked = 0;
+
+    while (remaining > 0 && this.isWalking()) {
+      const waypoint = this._waypoints[this._next];
+      const dx = waypoint.x - position.x;
+      const dz = waypoint.z - position.z;
+      const toWaypoint = Math.hypot(dx, dz);
+
+      // Turn towards the waypoint, facing along the z-axis like the clown's face
+      let turn = 0;
+      if (toWaypoint > 1e-6) {
+        turn = wrapAngle(Math.atan2(dx, dz) - rotation.y);
+        const turned = Math.min(Math.max(turn, -turnLeft), turnLeft);
+        rotation.y = wrapAngle(rotation.y + turned);
+        turnLeft -= Math.abs(turned);
+        turn -= turned;
+      }
+
+      // Step onto the waypoint and head for the next one
+      if (toWaypoint <= remaining) {
+        position.x = waypoint.x;
+        position.z = waypoint.z;
+        remaining -= toWaypoint;
+        walked += toWaypoint;
+
+        this._next++;
+        if (this.loop && this._next === this._waypoints.length) {
+          this._next = 0;
+        }
+
+        // Avoid spinning in place on a path of a single point
+        if (this._waypoints.length < 2) {
+          break;
+        }
+        continue;
+      }
+
+      // Walk part of the way the clown faces, slowing down by how much further it still has
+      // to turn so that it turns on the spot rather than sliding sideways
+      const step = remaining * Math.max(0, Math.cos(turn));
+      position.x += Math.sin(rotation.y) * step;
+      position.z += Math.cos(rotation.y) * step;
+      walked += step;
+      remaining = 0;
+    }
+
+    return walked;
+  }
+
+  /**
+   * Swings the legs and arms for the current point in the walk cycle and keeps the lowest
+   * foot on the ground.
+   * @param {number} legLength - Length of the legs in the clown's own units
+   */
+  _pose(legLength) {
+    const {clown, _phase: phase, _swing: swing} = this;
+    const legSchema = clownParamsSchema.legs.leftLeg;
+    const armSchema = clownParamsSchema.arms.leftArm;
+
+    // The legs swing opposite to each other, and a leg bends its knee while swinging forward
+    const leftHip = swing * Math.sin(phase);
+    const rightHip = -leftHip;
+    const leftKnee = 2 * swing * Math.max(0, -Math.cos(phase));
+    const rightKnee = 2 * swing * Math.max(0, Math.cos(phase));
+
+    // Each arm swings along with the opposite leg
+    const armSwing = 0.8 * leftHip;
+
+    clown.redraw({
+      legs: {
+        leftLeg: {rotX: clampParam(leftHip, legSchema.rotX), knee: clampParam(leftKnee, legSchema.knee)},
+        rightLeg: {rotX: clampParam(rightHip, legSchema.rotX), knee: clampParam(rightKnee, legSchema.knee)},
+      },
+      arms: {
+        leftArm: {rotX: clampParam(-armSwing, armSchema.rotX)},
+        rightArm: {rotX: clampParam(armSwing, armSchema.rotX)},
+      },
+    });
+
+    // How far below the hip the lowest point of each foot is. The shin is angled by the hip
+    // and knee, and tips the flat bottom of the foot, a disc with a radius of 2, along with
+    // it
+    const footDrop = (hip, knee) =>
+      (legLength / 2) * (Math.cos(hip) + Math.cos(hip + knee)) + 2 * Math.abs(Math.sin(hip + knee));
+    const lowestFoot = Math.max(footDrop(leftHip, leftKnee), footDrop(rightHip, rightKnee));
+
+    // The hips sit a leg length above the clown's origin, so lower the clown until the
+    // lowest foot touches the ground
+    clown.position.y = this.groundY + (lowestFoot - legLength) * clown.scale.y;
+  }
+}
+
+// ====================================================================
+// EXPORTS
+
+export {
+  ClownWalker,
+};